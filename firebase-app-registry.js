@@ -0,0 +1,141 @@
+/**
+@license
+Copyright 2016 Google Inc. All Rights Reserved.
+Use of this source code is governed by a BSD-style
+license that can be found in the LICENSE file or at
+https://github.com/firebase/polymerfire/blob/master/LICENSE
+*/
+import { getApps } from './firebase-app-script.js';
+
+var DEFAULT_APP_NAME = '[DEFAULT]';
+
+/**
+ * Readiness entries keyed by app name. Each entry holds a promise that
+ * resolves with the app once it is initialized.
+ */
+var entries = {};
+
+/**
+ * Apps that are being deleted. They remain in `getApps()` until their
+ * deletion completes, but must not be handed out anymore.
+ */
+var deletedApps = new WeakSet();
+
+function entryFor(name) {
+  name = normalizeAppName(name);
+
+  if (!entries[name]) {
+    var entry = entries[name] = {app: null};
+    entry.promise = new Promise(function(resolve) {
+      entry.resolve = resolve;
+    });
+  }
+
+  return entries[name];
+}
+
+function findLiveApp(name) {
+  name = normalizeAppName(name);
+
+  var apps = getApps();
+
+  for (var i = 0; i < apps.length; i++) {
+    if (apps[i].name === name && !deletedApps.has(apps[i])) {
+      return apps[i];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Returns the name Firebase uses for an app name, i.e. the default app's
+ * name for an empty one.
+ *
+ * @param {?string|undefined} name
+ * @return {string}
+ */
+export function normalizeAppName(name) {
+  return name || DEFAULT_APP_NAME;
+}
+
+/**
+ * Returns the initialized app with the given name, if any.
+ *
+ * @param {?string|undefined} name
+ * @return {FirebaseApp}
+ */
+export function getReadyApp(name) {
+  var entry = entryFor(name);
+
+  if (!entry.app) {
+    // the app may have been initialized without `firebase-app`
+    var app = findLiveApp(name);
+    if (app) {
+      markAppReady(app);
+    }
+  }
+
+  return entry.app;
+}
+
+/**
+ * Returns a promise that resolves with the app with the given name as soon
+ * as it is initialized, or right away if it already is.
+ *
+ * @param {?string|undefined} name
+ * @return {!Promise<!FirebaseApp>}
+ */
+export function whenAppReady(name) {
+  getReadyApp(name);
+  return entryFor(name).promise;
+}
+
+/**
+ * Records that an app has been initialized, resolving everything waiting
+ * for it.
+ *
+ * @param {!FirebaseApp} app
+ */
+export function markAppReady(app) {
+  var entry = entryFor(app.name);
+
+  if (entry.app) {
+    return;
+  }
+
+  entry.app = app;
+  entry.resolve(app);
+}
+
+/**
+ * Records that an app is being deleted. Lookups by its name wait for the
+ * next app with that name from then on.
+ *
+ * @param {!FirebaseApp} app
+ */
+export function markAppDeleting(app) {
+  deletedApps.add(app);
+
+  if (entries[app.name] && entries[app.name].app === app) {
+    delete entries[app.name];
+  }
+}
+
+/**
+ * Returns whether an app is still usable, i.e. neither deleted nor being
+ * deleted.
+ *
+ * @param {!FirebaseApp} app
+ * @return {boolean}
+ */
+export function isAppAlive(app) {
+  return !deletedApps.has(app) && getApps().indexOf(app) >= 0;
+}
+
+// Apps initialized by hand can announce themselves with this event too.
+window.addEventListener('firebase-app-initialized', function() {
+  for (var name in entries) {
+    getReadyApp(name);
+  }
+});
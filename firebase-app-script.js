@@ -1 +1 @@
-import 'firebase/firebase-app.js';
+export { deleteApp, getApps, initializeApp } from 'firebase/app';
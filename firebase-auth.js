@@ -55,122 +55,134 @@ be a problem.
   from HTML and may be out of place here. Review them and
   then delete this comment!
 */
-import '@polymer/polymer/polymer-legacy.js';
-
-import { FirebaseCommonBehavior } from './firebase-common-behavior.js';
-import './firebase-auth-script.js';
-import { Polymer } from '@polymer/polymer/lib/legacy/polymer-fn.js';
-
-Polymer({
-
-  is: 'firebase-auth',
-
-  behaviors: [
-    FirebaseCommonBehavior
-  ],
-
-  properties: {
-    /**
-     * [`firebase.Auth`](https://firebase.google.com/docs/reference/js/firebase.auth.Auth) service interface.
-     */
-    auth: {
-      type: Object,
-      computed: '_computeAuth(app)',
-      observer: '__authChanged'
-    },
-
-    /**
-     * Default auth provider OAuth flow to use when attempting provider
-     * sign in. This property can remain undefined when attempting to sign
-     * in anonymously, using email and password, or when specifying a
-     * provider in the provider sign-in function calls (i.e.
-     * `signInWithPopup` and `signInWithRedirect`).
-     *
-     * Current accepted providers are:
-     *
-     * ```
-     * 'facebook'
-     * 'github'
-     * 'google'
-     * 'twitter'
-     * ```
-     */
-    provider: {
-      type: String,
-      notify: true
-    },
-
-    /**
-     * True if the client is authenticated, and false if the client is not
-     * authenticated.
-     */
-    signedIn: {
-      type: Boolean,
-      computed: '_computeSignedIn(user)',
-      notify: true
-    },
-
-    /**
-     * The currently-authenticated user with user-related metadata. See
-     * the [`firebase.User`](https://firebase.google.com/docs/reference/js/firebase.User)
-     * documentation for the spec.
-     */
-    user: {
-      type: Object,
-      readOnly: true,
-      value: null,
-      notify: true
-    },
-
-    /**
-     * When true, login status can be determined by checking `user` property.
-     */
-    statusKnown: {
-      type: Boolean,
-      value: false,
-      notify: true,
-      readOnly: true,
-      reflectToAttribute: true
-    }
+import { setCacheOwner } from './firebase-cache.js';
+import { FirebaseCommonMixin } from './firebase-common-mixin.js';
+import { connectEmulator } from './firebase-emulators.js';
+import { getServiceSdk } from './firebase-loader.js';
+import { PolymerElement } from '@polymer/polymer/polymer-element.js';
+
+/**
+ * Returns the Authentication SDK, once the element loaded it.
+ */
+function sdk() {
+  return getServiceSdk('auth');
+}
+
+export class FirebaseAuth extends FirebaseCommonMixin(PolymerElement) {
+  static get is() {
+    return 'firebase-auth';
+  }
+
+  static get properties() {
+    return {
+      /**
+       * [`Auth`](https://firebase.google.com/docs/reference/js/auth.auth) service interface.
+       */
+      auth: {
+        type: Object,
+        computed: '_computeAuth(app, _serviceLoaded)',
+        observer: '__authChanged'
+      },
+
+      /**
+       * Default auth provider OAuth flow to use when attempting provider
+       * sign in. This property can remain undefined when attempting to sign
+       * in anonymously, using email and password, or when specifying a
+       * provider in the provider sign-in function calls (i.e.
+       * `signInWithPopup` and `signInWithRedirect`).
+       *
+       * Current accepted providers are:
+       *
+       * ```
+       * 'facebook'
+       * 'github'
+       * 'google'
+       * 'twitter'
+       * ```
+       */
+      provider: {
+        type: String,
+        notify: true
+      },
+
+      /**
+       * True if the client is authenticated, and false if the client is not
+       * authenticated.
+       */
+      signedIn: {
+        type: Boolean,
+        computed: '_computeSignedIn(user)',
+        notify: true
+      },
+
+      /**
+       * The currently-authenticated user with user-related metadata. See
+       * the [`User`](https://firebase.google.com/docs/reference/js/auth.user)
+       * documentation for the spec.
+       */
+      user: {
+        type: Object,
+        readOnly: true,
+        value: null,
+        notify: true
+      },
+
+      /**
+       * When true, login status can be determined by checking `user` property.
+       */
+      statusKnown: {
+        type: Boolean,
+        value: false,
+        notify: true,
+        readOnly: true,
+        reflectToAttribute: true
+      }
+
+    };
+  }
 
-  },
+  connectedCallback() {
+    super.connectedCallback();
+
+    this._loadService('auth');
+  }
 
   /**
    * Authenticates a Firebase client using a new, temporary guest account.
    *
    * @return {Promise} Promise that handles success and failure.
    */
-  signInAnonymously: function() {
+  signInAnonymously() {
     if (!this.auth) {
-      return Promise.reject('No app configured for firebase-auth!');
+      return this._reject('no-app', 'No app configured for firebase-auth!', 'signIn');
     }
 
-    return this._handleSignIn(this.auth.signInAnonymously());
-  },
+    return this._handleSignIn(sdk().signInAnonymously(this.auth));
+  }
 
   /**
    * Authenticates a Firebase client using a custom JSON Web Token.
    *
    * @return {Promise} Promise that handles success and failure.
    */
-  signInWithCustomToken: function(token) {
+  signInWithCustomToken(token) {
     if (!this.auth) {
-      return Promise.reject('No app configured for firebase-auth!');
+      return this._reject('no-app', 'No app configured for firebase-auth!', 'signIn');
     }
-    return this._handleSignIn(this.auth.signInWithCustomToken(token));
-  },
+    return this._handleSignIn(sdk().signInWithCustomToken(this.auth, token));
+  }
 
   /**
    * Authenticates a Firebase client using an oauth id_token.
    *
    * @return {Promise} Promise that handles success and failure.
    */
-  signInWithCredential: function(credential) {
+  signInWithCredential(credential) {
     if (!this.auth) {
-      return Promise.reject('No app configured for firebase-auth!');
+      return this._reject('no-app', 'No app configured for firebase-auth!', 'signIn');
     }
-    return this._handleSignIn(this.auth.signInWithCredential(credential));
-  },
+    return this._handleSignIn(sdk().signInWithCredential(this.auth, credential));
+  }
 
   /**
    * Authenticates a Firebase client using a popup-based OAuth flow.
@@ -181,9 +193,9 @@ Polymer({
    * for supported providers).
    * @return {Promise} Promise that handles success and failure.
    */
-  signInWithPopup: function(provider) {
-    return this._attemptProviderSignIn(this._normalizeProvider(provider), this.auth.signInWithPopup);
-  },
+  signInWithPopup(provider) {
+    return this._attemptProviderSignIn(provider, 'signInWithPopup');
+  }
 
   /**
    * Authenticates a firebase client using a redirect-based OAuth flow.
@@ -197,9 +209,9 @@ Polymer({
    * of the auth flow, but it can be used to handle errors that happen
    * before the redirect).
    */
-  signInWithRedirect: function(provider) {
-    return this._attemptProviderSignIn(this._normalizeProvider(provider), this.auth.signInWithRedirect);
-  },
+  signInWithRedirect(provider) {
+    return this._attemptProviderSignIn(provider, 'signInWithRedirect');
+  }
 
   /**
    * Authenticates a Firebase client using an email / password combination.
@@ -208,9 +220,13 @@ Polymer({
    * @param  {!String} password Password corresponding to the user account.
    * @return {Promise} Promise that handles success and failure.
    */
-  signInWithEmailAndPassword: function(email, password) {
-    return this._handleSignIn(this.auth.signInWithEmailAndPassword(email, password));
-  },
+  signInWithEmailAndPassword(email, password) {
+    if (!this.auth) {
+      return this._reject('no-app', 'No app configured for firebase-auth!', 'signIn');
+    }
+    return this._handleSignIn(
+        sdk().signInWithEmailAndPassword(this.auth, email, password));
+  }
 
   /**
    * Creates a new user account using an email / password combination.
@@ -219,9 +235,13 @@ Polymer({
    * @param  {!String} password Password corresponding to the user account.
    * @return {Promise} Promise that handles success and failure.
    */
-  createUserWithEmailAndPassword: function(email, password) {
-    return this._handleSignIn(this.auth.createUserWithEmailAndPassword(email, password));
-  },
+  createUserWithEmailAndPassword(email, password) {
+    if (!this.auth) {
+      return this._reject('no-app', 'No app configured for firebase-auth!', 'signIn');
+    }
+    return this._handleSignIn(
+        sdk().createUserWithEmailAndPassword(this.auth, email, password));
+  }
 
   /**
    * Sends a password reset email to the given email address.
@@ -229,81 +249,117 @@ Polymer({
    * @param  {!String} email Email address corresponding to the user account.
    * @return {Promise} Promise that handles success and failure.
    */
-  sendPasswordResetEmail: function(email) {
-    return this._handleSignIn(this.auth.sendPasswordResetEmail(email));
-  },
-  
+  sendPasswordResetEmail(email) {
+    if (!this.auth) {
+      return this._reject('no-app', 'No app configured for firebase-auth!',
+          'sendPasswordResetEmail');
+    }
+    return this._handleSignIn(sdk().sendPasswordResetEmail(this.auth, email),
+        'sendPasswordResetEmail');
+  }
+
   /**
    * Unauthenticates a Firebase client.
    *
    * @return {Promise} Promise that handles success and failure.
    */
-  signOut: function() {
+  signOut() {
     if (!this.auth) {
-      return Promise.reject('No app configured for auth!');
+      return this._reject('no-app', 'No app configured for auth!', 'signOut');
     }
 
-    return this.auth.signOut();
-  },
+    return sdk().signOut(this.auth).catch(function(err) {
+      throw this.__onError(err, 'signOut');
+    }.bind(this));
+  }
 
-  _attemptProviderSignIn: function(provider, method) {
-    provider = provider || this._providerFromName(this.provider);
-    if (!provider) {
-      return Promise.reject('Must supply a provider for popup sign in.');
-    }
+  _attemptProviderSignIn(provider, method) {
+    // providers are created by the auth SDK, which may not be loaded yet
     if (!this.auth) {
-      return Promise.reject('No app configured for firebase-auth!');
+      return this._reject('no-app', 'No app configured for firebase-auth!', 'signIn');
+    }
+    provider = this._normalizeProvider(provider) ||
+        this._providerFromName(this.provider);
+    if (!provider) {
+      return this._reject('no-provider', 'Must supply a provider for popup sign in.', 'signIn');
     }
 
-    return this._handleSignIn(method.call(this.auth, provider));
-  },
+    return this._handleSignIn(sdk()[method](this.auth, provider));
+  }
 
-  _providerFromName: function(name) {
+  _providerFromName(name) {
     switch (name) {
-      case 'facebook': return new firebase.auth.FacebookAuthProvider();
-      case 'github': return new firebase.auth.GithubAuthProvider();
-      case 'google': return new firebase.auth.GoogleAuthProvider();
-      case 'twitter': return new firebase.auth.TwitterAuthProvider();
-      default: this.fire('error', 'Unrecognized firebase-auth provider "' + name + '"');
+      case 'facebook': return new (sdk().FacebookAuthProvider)();
+      case 'github': return new (sdk().GithubAuthProvider)();
+      case 'google': return new (sdk().GoogleAuthProvider)();
+      case 'twitter': return new (sdk().TwitterAuthProvider)();
+      default: this.__onError(this._createError('unknown-provider',
+          'Unrecognized firebase-auth provider "' + name + '"', 'signIn'));
     }
-  },
+  }
 
-  _normalizeProvider: function(provider) {
+  _normalizeProvider(provider) {
     if (typeof provider === 'string') {
       return this._providerFromName(provider);
     }
     return provider;
-  },
+  }
 
-  _handleSignIn: function(promise) {
+  _handleSignIn(promise, operation) {
     return promise.catch(function(err) {
-      this.fire('error', err);
-      throw err;
+      throw this.__onError(err, operation || 'signIn');
     }.bind(this));
-  },
+  }
 
-  _computeSignedIn: function(user) {
+  _computeSignedIn(user) {
     return !!user;
-  },
+  }
 
-  _computeAuth: function(app) {
-    return this.app.auth();
-  },
+  _computeAuth(app, serviceLoaded) {
+    return app && serviceLoaded ?
+        connectEmulator(app, 'auth', sdk().getAuth(app)) : null;
+  }
 
-  __authChanged: function(auth, oldAuth) {
+  __authChanged(auth, oldAuth) {
     this._setStatusKnown(false);
     if (oldAuth !== auth && this._unsubscribe) {
       this._unsubscribe();
       this._unsubscribe = null;
+      this._logEvent('listener-detach', {event: 'auth_state_changed'});
     }
 
     if (this.auth) {
-      this._unsubscribe = this.auth.onAuthStateChanged(function(user) {
+      this._logEvent('listener-attach', {event: 'auth_state_changed'});
+      this._unsubscribe = sdk().onAuthStateChanged(this.auth, function(user) {
+        this._logEvent('auth-state', {
+          signedIn: !!user,
+          uid: user ? user.uid : null
+        }, 'info');
+        this.__updateCacheOwner(user);
         this._setUser(user);
         this._setStatusKnown(true);
       }.bind(this), function(err) {
-        this.fire('error', err);
+        this.__onError(err, 'listen');
       }.bind(this));
+    } else {
+      this._setUser(null);
     }
   }
-});
+
+  /**
+   * Clears the data that elements of the app cached for another user.
+   */
+  __updateCacheOwner(user) {
+    var app = this.app.name;
+
+    setCacheOwner(app, user ? user.uid : null).then(function(cleared) {
+      if (cleared) {
+        this._logEvent('cache-clear', {path: null}, 'info');
+      }
+    }.bind(this), function(error) {
+      this._logEvent('cache-error', {path: null, message: error.message}, 'warn');
+    }.bind(this));
+  }
+}
+
+customElements.define(FirebaseAuth.is, FirebaseAuth);
@@ -0,0 +1,305 @@
+/**
+@license
+Copyright 2016 Google Inc. All Rights Reserved.
+Use of this source code is governed by a BSD-style
+license that can be found in the LICENSE file or at
+https://github.com/firebase/polymerfire/blob/master/LICENSE
+*/
+
+var DATABASE_NAME = 'polymerfire';
+var DATABASE_VERSION = 2;
+var CACHE_STORE = 'cache';
+var OUTBOX_STORE = 'outbox';
+
+/**
+ * Prefix of the cache keys that record which user the cached values of an
+ * app belong to. Keys of cached values start with the app name and `:`.
+ */
+var OWNER_KEY_PREFIX = '#owner:';
+
+/**
+ * Prefixes of the Web Locks held by each page load while it is alive, and by
+ * the page that replays the outbox of an app.
+ */
+var SESSION_LOCK_PREFIX = 'polymerfire-session:';
+var OUTBOX_LOCK_PREFIX = 'polymerfire-outbox:';
+
+/**
+ * Identifies the writes recorded by this page load. The SDK still holds
+ * them in memory, so they must not be replayed by this page.
+ */
+var sessionId = Date.now().toString(36) + Math.random().toString(36).slice(2);
+
+var databasePromise = null;
+var sessionLockPromise = null;
+
+/**
+ * Opens the IndexedDB database that mirrors element data and pending writes
+ * across reloads.
+ * @return {!Promise<!IDBDatabase>}
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    var promise = databasePromise = new Promise(function(resolve, reject) {
+      var request = window.indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+      var blocked = false;
+
+      request.onupgradeneeded = function() {
+        var database = request.result;
+
+        if (!database.objectStoreNames.contains(CACHE_STORE)) {
+          database.createObjectStore(CACHE_STORE);
+        }
+
+        if (!database.objectStoreNames.contains(OUTBOX_STORE)) {
+          database.createObjectStore(OUTBOX_STORE,
+              {keyPath: 'id', autoIncrement: true});
+        }
+      };
+      request.onsuccess = function() {
+        var database = request.result;
+
+        if (blocked) {
+          database.close();
+          return;
+        }
+
+        // let another page upgrade the database; the next operation opens
+        // it again
+        database.onversionchange = function() {
+          database.close();
+
+          if (databasePromise === promise) {
+            databasePromise = null;
+          }
+        };
+        resolve(database);
+      };
+      request.onblocked = function() {
+        // another page holds an older version open and doesn't close it;
+        // give up rather than wait for it
+        blocked = true;
+        databasePromise = null;
+        reject(new Error('The ' + DATABASE_NAME +
+            ' database is blocked by another page'));
+      };
+      request.onerror = function() {
+        databasePromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return databasePromise;
+}
+
+/**
+ * Takes a lock that this page holds until it is closed, which tells other
+ * pages that its writes are still in flight.
+ * @return {!Promise} Resolves once the lock is held.
+ */
+function holdSessionLock() {
+  var locks = window.navigator.locks;
+
+  if (!sessionLockPromise && locks) {
+    sessionLockPromise = new Promise(function(resolve) {
+      locks.request(SESSION_LOCK_PREFIX + sessionId, function() {
+        resolve();
+        return new Promise(function() {});
+      });
+    });
+  }
+
+  return sessionLockPromise || Promise.resolve();
+}
+
+/**
+ * Resolves with the ids of the sessions whose page is still open, keyed by
+ * id.
+ * @return {!Promise<!Object<string, boolean>>}
+ */
+function readLiveSessions() {
+  return window.navigator.locks.query().then(function(state) {
+    var sessions = {};
+
+    state.held.concat(state.pending).forEach(function(lock) {
+      if (lock.name.indexOf(SESSION_LOCK_PREFIX) === 0) {
+        sessions[lock.name.slice(SESSION_LOCK_PREFIX.length)] = true;
+      }
+    });
+
+    return sessions;
+  });
+}
+
+/**
+ * Runs `operation` on an object store and resolves with the result of the
+ * request it returns.
+ */
+function withStore(storeName, mode, operation) {
+  return openDatabase().then(function(database) {
+    return new Promise(function(resolve, reject) {
+      var transaction = database.transaction(storeName, mode);
+      var request = operation(transaction.objectStore(storeName));
+
+      transaction.oncomplete = function() {
+        resolve(request.result);
+      };
+      transaction.onerror = transaction.onabort = function() {
+        reject(transaction.error);
+      };
+    });
+  });
+}
+
+/**
+ * Reads the value cached under `key`.
+ *
+ * @param {string} key
+ * @return {!Promise<*>} Resolves with `undefined` if nothing is cached.
+ */
+export function readCachedValue(key) {
+  return withStore(CACHE_STORE, 'readonly', function(store) {
+    return store.get(key);
+  });
+}
+
+/**
+ * Caches `value` under `key`, replacing any previous value.
+ *
+ * @param {string} key
+ * @param {*} value A value that can be structured cloned.
+ * @return {!Promise}
+ */
+export function writeCachedValue(key, value) {
+  return withStore(CACHE_STORE, 'readwrite', function(store) {
+    return store.put(value, key);
+  });
+}
+
+/**
+ * Removes the value cached under `key`.
+ *
+ * @param {string} key
+ * @return {!Promise}
+ */
+export function deleteCachedValue(key) {
+  return withStore(CACHE_STORE, 'readwrite', function(store) {
+    return store.delete(key);
+  });
+}
+
+/**
+ * Removes the values cached for `app`, or for every app, and fires
+ * `firebase-cache-cleared` on `window` so that elements stop showing them.
+ *
+ * @param {string=} app The app name. Omit it to clear the whole cache.
+ * @return {!Promise}
+ */
+export function clearCache(app) {
+  return withStore(CACHE_STORE, 'readwrite', function(store) {
+    return app == null ? store.clear() :
+        store.delete(IDBKeyRange.bound(app + ':', app + ':\uffff'));
+  }).then(function() {
+    window.dispatchEvent(new CustomEvent('firebase-cache-cleared', {
+      detail: {app: app == null ? null : app}
+    }));
+  });
+}
+
+/**
+ * Records that the signed in user of `app` is `uid`. If the values cached
+ * for `app` belong to another user, or to nobody known, they are cleared.
+ *
+ * @param {string} app The app name.
+ * @param {?string} uid The uid of the user, or null if nobody is signed in.
+ * @return {!Promise<boolean>} Resolves with true if the cache was cleared.
+ */
+export function setCacheOwner(app, uid) {
+  var key = OWNER_KEY_PREFIX + app;
+
+  return readCachedValue(key).then(function(owner) {
+    if (owner === uid) {
+      return false;
+    }
+
+    return clearCache(app).then(function() {
+      return writeCachedValue(key, uid);
+    }).then(function() {
+      return true;
+    });
+  });
+}
+
+/**
+ * Records a write in the outbox until it is confirmed by the server.
+ *
+ * @param {{app: string, database: string, path: string, value: *,
+ *     updates: Object}} entry The write, either a `value` set at `path` or
+ *     multi-path `updates`, to the `database` with the given URL.
+ * @return {!Promise<number>} Resolves with the id of the entry.
+ */
+export function addOutboxEntry(entry) {
+  entry = Object.assign({}, entry, {session: sessionId, createdAt: Date.now()});
+
+  return holdSessionLock().then(function() {
+    return withStore(OUTBOX_STORE, 'readwrite', function(store) {
+      return store.add(entry);
+    });
+  });
+}
+
+/**
+ * Removes the entry with the given id from the outbox.
+ *
+ * @param {number} id
+ * @return {!Promise}
+ */
+export function removeOutboxEntry(id) {
+  return withStore(OUTBOX_STORE, 'readwrite', function(store) {
+    return store.delete(id);
+  });
+}
+
+/**
+ * Calls `replay` with the writes to `database` of `app` that closed pages
+ * recorded but never saw confirmed, in the order they were made. An app
+ * name may have been used for another project since, so writes are matched
+ * by the database they were made to as well. The writes of pages
+ * that are still open are left to them. Only one page at a time replays
+ * the outbox of an app, so that no write is replayed twice.
+ *
+ * This requires the Web Locks API, without which pages can't tell whether
+ * other pages are still open.
+ *
+ * @param {string} app The app name.
+ * @param {string} database The URL of the database.
+ * @param {function(!Array<!Object>): !Promise} replay Replays the entries
+ *     and removes them from the outbox.
+ * @return {!Promise} Resolves once `replay` is done.
+ */
+export function replayOutbox(app, database, replay) {
+  var locks = window.navigator.locks;
+
+  if (!locks) {
+    return Promise.reject(new Error(
+        'The outbox can\'t be replayed without the Web Locks API'));
+  }
+
+  return locks.request(OUTBOX_LOCK_PREFIX + app, function() {
+    return Promise.all([
+      withStore(OUTBOX_STORE, 'readonly', function(store) {
+        return store.getAll();
+      }),
+      readLiveSessions()
+    ]).then(function(results) {
+      var liveSessions = results[1];
+
+      return replay(results[0].filter(function(entry) {
+        return entry.app === app && entry.database === database &&
+            entry.session !== sessionId &&
+            !liveSessions[entry.session];
+      }));
+    });
+  });
+}
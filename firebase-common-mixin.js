@@ -0,0 +1,397 @@
+/**
+@license
+Copyright 2016 Google Inc. All Rights Reserved.
+Use of this source code is governed by a BSD-style
+license that can be found in the LICENSE file or at
+https://github.com/firebase/polymerfire/blob/master/LICENSE
+*/
+import { dedupingMixin } from '@polymer/polymer/lib/utils/mixin.js';
+import { FirebaseElementError } from './firebase-error.js';
+import { getReadyApp, isAppAlive, normalizeAppName, whenAppReady } from './firebase-app-registry.js';
+import { loadService } from './firebase-loader.js';
+import { logEvent } from './firebase-logger.js';
+
+/**
+ * Attached elements that follow the browser's network status.
+ */
+var networkStatusSubscribers = [];
+
+function notifyNetworkStatusSubscribers() {
+  networkStatusSubscribers.forEach(function(element) {
+    element.refreshNetworkStatus();
+  });
+}
+
+window.addEventListener('online', notifyNetworkStatusSubscribers);
+window.addEventListener('offline', notifyNetworkStatusSubscribers);
+
+/**
+ * Element class mixin with what every Polymerfire element shares: picking
+ * up its app, loading the SDKs of the services it uses, following the
+ * browser's network status and reporting events and errors.
+ *
+ * @mixinFunction
+ * @polymer
+ */
+export const FirebaseCommonMixin = dedupingMixin(function(superClass) {
+  return class extends superClass {
+    static get properties() {
+      return {
+        /**
+        * @type {!FirebaseApp|undefined}
+        */
+        app: {
+          type: Object,
+          notify: true,
+          observer: '__appChanged'
+        },
+
+        appName: {
+          type: String,
+          notify: true,
+          value: '',
+          observer: '__appNameChanged'
+        },
+
+        /**
+         * True if the browser is online, and false if the browser is
+         * offline, matching the HTML browser state spec.
+         */
+        online: {
+          type: Boolean,
+          readOnly: true,
+          notify: true,
+          value: function() {
+            return window.navigator.onLine;
+          }
+        },
+
+        /**
+         * When true, the events of this element are logged, to the console
+         * if no logger is configured with `configureLogger()`.
+         */
+        log: {
+          type: Boolean,
+          value: false
+        },
+
+        /**
+         * True once the SDKs of the services used by this element are loaded.
+         */
+        _serviceLoaded: {
+          type: Boolean,
+          value: false
+        },
+
+        /**
+         * True once the element has an app and the SDKs of the services it
+         * uses are loaded. See `whenReady()`.
+         *
+         * (This is not called `ready`, which is a lifecycle callback.)
+         */
+        isReady: {
+          type: Boolean,
+          notify: true,
+          computed: '__computeIsReady(app, _serviceLoaded)',
+          observer: '__isReadyChanged'
+        },
+
+        /**
+         * The most recent error reported by this element, as a
+         * `FirebaseElementError`.
+         */
+        lastError: {
+          type: Object,
+          value: null,
+          notify: true,
+          readOnly: true
+        }
+      };
+    }
+
+    constructor() {
+      super();
+
+      this.__readyCallbacks = [];
+      this.__onFirebaseAppDeleting = this.__onFirebaseAppDeleting.bind(this);
+    }
+
+    connectedCallback() {
+      super.connectedCallback();
+
+      networkStatusSubscribers.push(this);
+      this.refreshNetworkStatus();
+      window.addEventListener(
+          'firebase-app-deleting', this.__onFirebaseAppDeleting);
+
+      // the app may have been deleted while this element was detached
+      if (this.app && !isAppAlive(this.app)) {
+        this.__dropApp();
+      }
+    }
+
+    disconnectedCallback() {
+      super.disconnectedCallback();
+
+      var index = networkStatusSubscribers.indexOf(this);
+      if (index >= 0) {
+        networkStatusSubscribers.splice(index, 1);
+      }
+
+      window.removeEventListener(
+          'firebase-app-deleting', this.__onFirebaseAppDeleting);
+    }
+
+    /**
+     * Updates `online` to reflect the browser's network status.
+     */
+    refreshNetworkStatus() {
+      this._setOnline(window.navigator.onLine);
+    }
+
+    /**
+     * Loads the SDK of a Firebase service used by this element, e.g.
+     * `database`. Service SDKs are only loaded once an element using them is
+     * attached, after which `_serviceLoaded` turns true.
+     *
+     * @param {string} service
+     * @return {!Promise}
+     */
+    _loadService(service) {
+      this.__services = this.__services || {};
+
+      if (service in this.__services) {
+        return this.__services[service];
+      }
+
+      var promise = this.__services[service] = loadService(service);
+      var pending = Object.keys(this.__services).map(function(name) {
+        return this.__services[name];
+      }, this);
+
+      this._serviceLoaded = false;
+      Promise.all(pending).then(function() {
+        if (Object.keys(this.__services).length === pending.length) {
+          this._serviceLoaded = true;
+        }
+      }.bind(this), function(error) {
+        this.__onError(error, 'loadService');
+      }.bind(this));
+
+      return promise;
+    }
+
+    /**
+     * Returns a promise that resolves with the element's app once the element
+     * is ready to use it, i.e. once `isReady` is true.
+     *
+     * @return {!Promise<!FirebaseApp>}
+     */
+    whenReady() {
+      if (this.isReady) {
+        return Promise.resolve(this.app);
+      }
+
+      return new Promise(function(resolve) {
+        this.__readyCallbacks.push(resolve);
+      }.bind(this));
+    }
+
+    __computeIsReady(app, serviceLoaded) {
+      return !!(app && serviceLoaded);
+    }
+
+    __isReadyChanged(isReady) {
+      if (!isReady) {
+        return;
+      }
+
+      var callbacks = this.__readyCallbacks;
+      this.__readyCallbacks = [];
+      callbacks.forEach(function(callback) {
+        callback(this.app);
+      }, this);
+    }
+
+    __appNameChanged(appName) {
+      // without an app name, an app that was set directly is kept
+      if (this.app && (!appName || this.app.name === appName)) {
+        return;
+      }
+
+      var app = getReadyApp(appName);
+      if (app) {
+        this.app = app;
+        return;
+      }
+
+      // the appropriate app hasn't been initialized yet
+      var request = this.__appRequest = whenAppReady(appName);
+      request.then(function(app) {
+        if (request === this.__appRequest) {
+          this.__appRequest = null;
+          this.app = app;
+        }
+      }.bind(this));
+    }
+
+    __appChanged(app) {
+      // a null app keeps its name so that the element can pick up the app
+      // again once it is re-initialized
+      if (!app) {
+        return;
+      }
+
+      // an app that was set directly wins over any pending lookup
+      this.__appRequest = null;
+
+      if (app.name === normalizeAppName(this.appName)) {
+        return;
+      }
+
+      this.appName = app.name;
+    }
+
+    __onFirebaseAppDeleting(event) {
+      if (this.app && this.app.name === event.detail.name) {
+        this.__dropApp();
+      }
+    }
+
+    /**
+     * Releases the current app, which in turn drops every ref and listener
+     * computed from it, and waits for an app with the same name to be
+     * initialized again.
+     */
+    __dropApp() {
+      this.app = null;
+      this.__appNameChanged(this.appName);
+    }
+
+    /**
+     * Reports a structured event to the logger configured with
+     * `configureLogger()`, or to the console if `log` is true.
+     *
+     * @param {string} type The event type, e.g. `read` or `write`.
+     * @param {Object=} detail Event specific data. A `path` in it overrides
+     *     the element's `path` as the path of the event.
+     * @param {string=} level The log level. Defaults to `debug`.
+     */
+    _logEvent(type, detail, level) {
+      detail = detail || {};
+
+      logEvent({
+        level: level || 'debug',
+        type: type,
+        app: this.app ? this.app.name : normalizeAppName(this.appName),
+        element: this,
+        path: 'path' in detail ? detail.path : this.path,
+        detail: detail
+      });
+    }
+
+    /**
+     * Reports a debug message as a `log` event, e.g.
+     * `this._log('Updating data from cache:', value)`.
+     *
+     * @param {...*} var_args The message, followed by any values.
+     */
+    _log(var_args) {
+      var args = Array.prototype.slice.call(arguments);
+
+      this._logEvent('log', {message: String(args[0]), values: args.slice(1)});
+    }
+
+    /**
+     * Returns the absolute path of a Realtime Database reference or query.
+     * @return {string}
+     */
+    _pathOf(refOrQuery) {
+      var ref = refOrQuery.ref;
+      return '/' +
+          decodeURIComponent(ref.toString().slice(ref.root.toString().length));
+    }
+
+    /**
+     * Dispatches a custom event that bubbles and crosses shadow roots.
+     *
+     * @param {string} type
+     * @param {*=} detail
+     * @param {!EventTarget=} node The node to fire the event on. Defaults to
+     *     this element.
+     * @return {!Event}
+     */
+    _fire(type, detail, node) {
+      var event = new CustomEvent(type, {
+        bubbles: true,
+        composed: true,
+        detail: detail
+      });
+
+      (node || this).dispatchEvent(event);
+      return event;
+    }
+
+    /**
+     * Creates an error reported by this element.
+     *
+     * @param {string} code
+     * @param {string} message
+     * @param {string} operation The operation that failed, e.g. `signIn`.
+     * @return {!FirebaseElementError}
+     */
+    _createError(code, message, operation) {
+      return new FirebaseElementError(message, {
+        code: code,
+        operation: operation,
+        path: this.path,
+        element: this
+      });
+    }
+
+    /**
+     * Reports an error created with `_createError` and returns a promise
+     * rejected with it.
+     *
+     * @param {string} code
+     * @param {string} message
+     * @param {string} operation
+     * @return {!Promise}
+     */
+    _reject(code, message, operation) {
+      return Promise.reject(
+          this.__onError(this._createError(code, message, operation)));
+    }
+
+    /**
+     * Reports an error: wraps it into a `FirebaseElementError`, exposes it as
+     * `lastError` and fires it as an `error` event.
+     *
+     * @param {*} err
+     * @param {string=} operation The operation that failed.
+     * @param {?string=} path The path of the operation. Defaults to `path`.
+     * @return {!FirebaseElementError} The reported error.
+     */
+    __onError(err, operation, path) {
+      var error = FirebaseElementError.from(err, {
+        operation: operation,
+        path: path !== undefined ? path : this.path,
+        element: this
+      });
+
+      this._setLastError(error);
+      this._logEvent('error', {
+        path: error.path,
+        code: error.code,
+        operation: error.operation,
+        message: error.message
+      }, 'error');
+      this._fire('error', error);
+      return error;
+    }
+
+    __onListenError(err) {
+      this.__onError(err, 'listen');
+    }
+  };
+});
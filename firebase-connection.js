@@ -0,0 +1,243 @@
+/**
+@license
+Copyright 2016 Google Inc. All Rights Reserved.
+Use of this source code is governed by a BSD-style
+license that can be found in the LICENSE file or at
+https://github.com/firebase/polymerfire/blob/master/LICENSE
+*/
+import { FirebaseCommonMixin } from './firebase-common-mixin.js';
+import { connectEmulator } from './firebase-emulators.js';
+import { getServiceSdk } from './firebase-loader.js';
+import { forceNetwork, releaseNetwork, setBrowserOnline } from './firebase-network.js';
+import { PolymerElement } from '@polymer/polymer/polymer-element.js';
+
+/**
+ * Returns the Realtime Database SDK, once the element loaded it.
+ */
+function sdk() {
+  return getServiceSdk('database');
+}
+
+/**
+ * The firebase-connection element exposes the state of the connection
+ * between the client and the Realtime Database of an app, along with the
+ * server's clock.
+ *
+ * For example:
+ *
+ *     <firebase-connection
+ *       connected="{{connected}}"
+ *       disconnected-since="{{offlineSince}}">
+ *     </firebase-connection>
+ *
+ * `connected` follows the database's `.info/connected` location, so it is
+ * only true while the client is actually connected to the server, not
+ * merely while the browser is online. `serverTimeOffset` follows
+ * `.info/serverTimeOffset`, and `serverNow()` uses it to estimate the
+ * server's current time.
+ *
+ * Set `network` to `offline` or `online` to force the database of the app
+ * offline or online regardless of the browser's network status. This
+ * affects every element of the app. Set it back to `auto` (or remove the
+ * element) to follow the browser's network status again.
+ */
+export class FirebaseConnection extends FirebaseCommonMixin(PolymerElement) {
+  static get is() {
+    return 'firebase-connection';
+  }
+
+  static get properties() {
+    return {
+      /**
+       * The [`Database`](https://firebase.google.com/docs/reference/js/database.database)
+       * instance of the app.
+       */
+      db: {
+        type: Object,
+        computed: '__computeDb(app, _serviceLoaded)',
+        observer: '__dbChanged'
+      },
+
+      /**
+       * True while the client is connected to the database server.
+       */
+      connected: {
+        type: Boolean,
+        value: false,
+        notify: true,
+        readOnly: true,
+        reflectToAttribute: true
+      },
+
+      /**
+       * The estimated difference, in milliseconds, between the server's
+       * clock and the client's clock.
+       */
+      serverTimeOffset: {
+        type: Number,
+        value: 0,
+        notify: true,
+        readOnly: true
+      },
+
+      /**
+       * The time, in milliseconds since the epoch, at which the client
+       * lost its connection to the server. Null while connected, and until
+       * the client first connects.
+       */
+      disconnectedSince: {
+        type: Number,
+        value: null,
+        notify: true,
+        readOnly: true
+      },
+
+      /**
+       * Forces the database connection of the app. One of `auto` (follow
+       * the browser's network status), `online` or `offline`.
+       */
+      network: {
+        type: String,
+        value: 'auto'
+      }
+    };
+  }
+
+  static get observers() {
+    return [
+      '__networkChanged(db, network)',
+      '__browserOnlineChanged(db, online)'
+    ];
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this._loadService('database');
+    this.__listen(this.db);
+    this.__networkChanged(this.db, this.network);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.__unlisten(this.db);
+
+    if (this.db) {
+      releaseNetwork(this.db, this);
+    }
+  }
+
+  /**
+   * Estimates the server's current time from the client's clock and
+   * `serverTimeOffset`.
+   *
+   * @return {number} Milliseconds since the epoch.
+   */
+  serverNow() {
+    return Date.now() + this.serverTimeOffset;
+  }
+
+  /**
+   * Forces the database connection of the app offline.
+   */
+  goOffline() {
+    this.network = 'offline';
+  }
+
+  /**
+   * Forces the database connection of the app online.
+   */
+  goOnline() {
+    this.network = 'online';
+  }
+
+  __computeDb(app, serviceLoaded) {
+    return app && serviceLoaded ?
+        connectEmulator(app, 'database', sdk().getDatabase(app)) : null;
+  }
+
+  __dbChanged(db, oldDb) {
+    if (oldDb) {
+      this.__unlisten(oldDb);
+      releaseNetwork(oldDb, this);
+    }
+
+    this._setConnected(false);
+    this._setServerTimeOffset(0);
+    this._setDisconnectedSince(null);
+
+    if (this.isConnected) {
+      this.__listen(db);
+    }
+  }
+
+  __listen(db) {
+    if (!db || this.__unsubscribers) {
+      return;
+    }
+
+    var onError = this.__onListenError.bind(this);
+
+    this.__unsubscribers = [
+      sdk().onValue(sdk().ref(db, '.info/connected'),
+          this.__onConnectedValue.bind(this), onError),
+      sdk().onValue(sdk().ref(db, '.info/serverTimeOffset'),
+          this.__onServerTimeOffsetValue.bind(this), onError)
+    ];
+    this._logEvent('listener-attach', {path: '/.info'});
+  }
+
+  __unlisten(db) {
+    if (!db || !this.__unsubscribers) {
+      return;
+    }
+
+    this.__unsubscribers.forEach(function(unsubscribe) {
+      unsubscribe();
+    });
+    this.__unsubscribers = null;
+    this._logEvent('listener-detach', {path: '/.info'});
+  }
+
+  __onConnectedValue(snapshot) {
+    var connected = !!snapshot.val();
+
+    this._logEvent('connection', {path: '/.info/connected', connected: connected},
+        'info');
+
+    // the first value is false until the client connects, which is not a
+    // disconnection
+    if (connected) {
+      this._setDisconnectedSince(null);
+    } else if (this.connected) {
+      this._setDisconnectedSince(Date.now());
+    }
+
+    this._setConnected(connected);
+  }
+
+  __onServerTimeOffsetValue(snapshot) {
+    this._setServerTimeOffset(snapshot.val() || 0);
+  }
+
+  __networkChanged(db, network) {
+    if (!db) {
+      return;
+    }
+
+    if (network === 'online' || network === 'offline') {
+      forceNetwork(db, network === 'online', this);
+    } else {
+      releaseNetwork(db, this);
+    }
+  }
+
+  __browserOnlineChanged(db, online) {
+    if (db) {
+      setBrowserOnline(db, online);
+    }
+  }
+}
+
+customElements.define(FirebaseConnection.is, FirebaseConnection);
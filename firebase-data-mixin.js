@@ -0,0 +1,390 @@
+/**
+@license
+Copyright 2016 Google Inc. All Rights Reserved.
+Use of this source code is governed by a BSD-style
+license that can be found in the LICENSE file or at
+https://github.com/firebase/polymerfire/blob/master/LICENSE
+*/
+import { dedupingMixin } from '@polymer/polymer/lib/utils/mixin.js';
+import { FirebaseCommonMixin } from './firebase-common-mixin.js';
+
+var SPLICES_RX = /\.splices$/;
+var LENGTH_RX = /\.length$/;
+
+/**
+ * Element class mixin that synchronizes `data` with a storage backend, like
+ * `AppStorageBehavior` of `@polymer/app-storage`, which it replaces.
+ *
+ * Changes made to `data` through Polymer's path API are written to storage
+ * with `setStoredValue()`, and changes read from storage are applied inside
+ * `syncToMemory()`, so that they are not written back.
+ *
+ * @mixinFunction
+ * @polymer
+ * @appliesMixin FirebaseCommonMixin
+ */
+export const FirebaseDataMixin = dedupingMixin(function(superClass) {
+  return class extends FirebaseCommonMixin(superClass) {
+    static get properties() {
+      return {
+        /**
+         * The data to synchronize.
+         */
+        data: {
+          type: Object,
+          notify: true,
+          value: function() {
+            return this.zeroValue;
+          }
+        },
+
+        /**
+         * If this is true transactions will happen one after the other,
+         * never in parallel.
+         *
+         * Specifically, no transaction will begin until every previously
+         * enqueued transaction by this element has completed.
+         *
+         * If it is false, new transactions will be executed as they are
+         * received.
+         */
+        sequentialTransactions: {
+          type: Boolean,
+          value: false
+        }
+      };
+    }
+
+    static get observers() {
+      return [
+        '__dataChanged(data.*)'
+      ];
+    }
+
+    constructor() {
+      super();
+
+      this.__initialized = false;
+      this.__syncingToMemory = false;
+      this.__initializingStoredValue = null;
+      this.__transactionQueueAdvances = Promise.resolve();
+    }
+
+    ready() {
+      super.ready();
+
+      this._initializeStoredValue();
+    }
+
+    /**
+     * Override this getter to return true if the value has never been
+     * persisted to storage.
+     *
+     * @return {boolean}
+     */
+    get isNew() {
+      return true;
+    }
+
+    /**
+     * A promise that resolves once all queued transactions have completed.
+     *
+     * This field is updated as new transactions are enqueued, so it will
+     * only wait for transactions which were enqueued when the field was
+     * accessed.
+     *
+     * This promise never rejects.
+     *
+     * @return {!Promise}
+     */
+    get transactionsComplete() {
+      return this.__transactionQueueAdvances;
+    }
+
+    /**
+     * Override this getter to define the default value to use when there's
+     * no data stored.
+     *
+     * @return {*}
+     */
+    get zeroValue() {
+      return undefined;
+    }
+
+    /**
+     * Override this method.
+     *
+     * If the data value represented by this element is new, this method
+     * generates an attempt to write the value to storage.
+     *
+     * @param {*} args
+     * @return {!Promise} A promise that settles only once the write has.
+     */
+    saveValue(args) {
+      return Promise.resolve();
+    }
+
+    /**
+     * Optional. Override this method to clear out the mapping of this
+     * element to a location within storage. Afterwards, `isNew` should be
+     * true.
+     */
+    reset() {}
+
+    /**
+     * Removes the data from storage.
+     *
+     * @return {!Promise} A promise that settles once the destruction is
+     *     complete.
+     */
+    destroy() {
+      this.data = this.zeroValue;
+      return this.saveValue();
+    }
+
+    /**
+     * Performs the initial sync between storage and memory. This method is
+     * called automatically while the element is being initialized.
+     * Implementations may override it, and should call
+     * `_initializeStoredValue()` instead, which guards against reentrancy.
+     *
+     * @return {!Promise} A promise that settles once this process is
+     *     complete.
+     */
+    initializeStoredValue() {
+      if (this.isNew) {
+        return Promise.resolve();
+      }
+
+      // if this is not a new value, read the initial value from storage
+      return this._getStoredValue('data').then(function(data) {
+        this._log('Got stored value!', data, this.data);
+        if (data == null) {
+          return this._setStoredValue('data', this.data || this.zeroValue);
+        } else {
+          this.syncToMemory(function() {
+            this.set('data', data);
+          });
+        }
+      }.bind(this));
+    }
+
+    /**
+     * Override this method to implement reading a value from storage.
+     *
+     * @param {string} storagePath The path of the value to read.
+     * @return {!Promise} A promise that resolves with the value stored at
+     *     `storagePath`, or `undefined` if there is none, and rejects if the
+     *     read fails.
+     */
+    getStoredValue(storagePath) {
+      return Promise.resolve();
+    }
+
+    /**
+     * Override this method to implement creating and updating stored
+     * values.
+     *
+     * @param {string} storagePath The path of the value to update.
+     * @param {*} value The in-memory value to store at `storagePath`.
+     * @return {!Promise} A promise that resolves once the value is stored,
+     *     and rejects if the write fails.
+     */
+    setStoredValue(storagePath, value) {
+      return Promise.resolve(value);
+    }
+
+    /**
+     * Maps a Polymer data binding path to the corresponding path in
+     * storage. The inverse of `storagePathToMemoryPath()`.
+     *
+     * @param {string} path
+     * @return {string}
+     */
+    memoryPathToStoragePath(path) {
+      return path;
+    }
+
+    /**
+     * Maps a storage path to the corresponding Polymer data binding path.
+     * The inverse of `memoryPathToStoragePath()`.
+     *
+     * @param {string} path
+     * @return {string}
+     */
+    storagePathToMemoryPath(path) {
+      return path;
+    }
+
+    /**
+     * Applies changes read from storage to `data` without writing them
+     * back to storage.
+     *
+     * @param {!Function} operation Changes `data`. It is called
+     *     synchronously, with the element as `this`.
+     */
+    syncToMemory(operation) {
+      if (this.__syncingToMemory) {
+        return;
+      }
+
+      this.__syncingToMemory = true;
+      try {
+        operation.call(this);
+      } finally {
+        this.__syncingToMemory = false;
+      }
+    }
+
+    /**
+     * Returns true if `value` is null, undefined, an empty array, or an
+     * object with no keys.
+     *
+     * @param {*} value
+     * @return {boolean}
+     */
+    valueIsEmpty(value) {
+      if (Array.isArray(value)) {
+        return value.length === 0;
+      } else if (Object.prototype.isPrototypeOf(value)) {
+        return Object.keys(value).length === 0;
+      } else {
+        return value == null;
+      }
+    }
+
+    /**
+     * Like `getStoredValue()`, but called with a Polymer path.
+     *
+     * @param {string} path
+     * @return {!Promise}
+     */
+    _getStoredValue(path) {
+      return this.getStoredValue(this.memoryPathToStoragePath(path));
+    }
+
+    /**
+     * Like `setStoredValue()`, but called with a Polymer path.
+     *
+     * @param {string} path
+     * @param {*} value
+     * @return {!Promise}
+     */
+    _setStoredValue(path, value) {
+      return this.setStoredValue(this.memoryPathToStoragePath(path), value);
+    }
+
+    /**
+     * Enqueues a transaction, which runs right away unless
+     * `sequentialTransactions` is true, in which case it waits for the
+     * transactions enqueued before it.
+     *
+     * @param {!Function} transaction Called with the element as `this`.
+     *     Returns a promise if it is asynchronous.
+     * @return {!Promise} A promise that resolves once the transaction has
+     *     finished. It never rejects.
+     */
+    _enqueueTransaction(transaction) {
+      if (this.sequentialTransactions) {
+        transaction = transaction.bind(this);
+      } else {
+        var result = transaction.call(this);
+        transaction = function() {
+          return result;
+        };
+      }
+
+      return this.__transactionQueueAdvances =
+          this.__transactionQueueAdvances.then(transaction)
+              .catch(function(error) {
+                this._log('Error performing queued transaction.', error);
+              }.bind(this));
+    }
+
+    /**
+     * Calls `initializeStoredValue()`, unless it is already running.
+     *
+     * @return {?Promise}
+     */
+    _initializeStoredValue() {
+      if (this.__initializingStoredValue) {
+        return null;
+      }
+
+      var initializingStoredValue = this.__initializingStoredValue =
+          this.initializeStoredValue().then(function() {
+            this.__initialized = true;
+            this.__initializingStoredValue = null;
+          }.bind(this), function() {
+            this.__initializingStoredValue = null;
+          }.bind(this));
+
+      return this._enqueueTransaction(function() {
+        return initializingStoredValue;
+      });
+    }
+
+    __dataChanged(change) {
+      if (this.isNew || this.__syncingToMemory || !this.__initialized ||
+          this.__pathCanBeIgnored(change.path)) {
+        return;
+      }
+
+      var path = this.__normalizeMemoryPath(change.path);
+      var value = change.value;
+      var indexSplices = value && value.indexSplices;
+
+      this._enqueueTransaction(function() {
+        this._log('Setting', path + ':', indexSplices || value);
+
+        if (indexSplices && this.__pathIsSplices(path)) {
+          path = this.__parentPath(path);
+          value = this.get(path);
+        }
+
+        return this._setStoredValue(path, value);
+      });
+    }
+
+    /**
+     * Replaces the `#<key>` parts of a path, which Polymer uses for array
+     * items, with the index of the item.
+     */
+    __normalizeMemoryPath(path) {
+      var parts = path.split('.');
+      var parentPath = [];
+      var currentPath = [];
+      var normalizedPath = [];
+
+      for (var i = 0; i < parts.length; ++i) {
+        currentPath.push(parts[i]);
+
+        if (/^#/.test(parts[i])) {
+          normalizedPath.push(
+              this.get(parentPath).indexOf(this.get(currentPath)));
+        } else {
+          normalizedPath.push(parts[i]);
+        }
+
+        parentPath.push(parts[i]);
+      }
+
+      return normalizedPath.join('.');
+    }
+
+    __parentPath(path) {
+      var parentPath = path.split('.');
+      return parentPath.slice(0, parentPath.length - 1).join('.');
+    }
+
+    __pathCanBeIgnored(path) {
+      return LENGTH_RX.test(path) &&
+          Array.isArray(this.get(this.__parentPath(path)));
+    }
+
+    __pathIsSplices(path) {
+      return SPLICES_RX.test(path) &&
+          Array.isArray(this.get(this.__parentPath(path)));
+    }
+  };
+});
@@ -0,0 +1,710 @@
+/**
+@license
+Copyright 2016 Google Inc. All Rights Reserved.
+Use of this source code is governed by a BSD-style
+license that can be found in the LICENSE file or at
+https://github.com/firebase/polymerfire/blob/master/LICENSE
+*/
+import { dedupingMixin } from '@polymer/polymer/lib/utils/mixin.js';
+import { Debouncer } from '@polymer/polymer/lib/utils/debounce.js';
+import { timeOut } from '@polymer/polymer/lib/utils/async.js';
+import { FirebaseDataMixin } from './firebase-data-mixin.js';
+import { connectEmulator } from './firebase-emulators.js';
+import { getServiceSdk } from './firebase-loader.js';
+import { addOutboxEntry, readCachedValue, removeOutboxEntry, replayOutbox, writeCachedValue } from './firebase-cache.js';
+import { setBrowserOnline } from './firebase-network.js';
+import { childSchemaOf, validateValue } from './firebase-schema.js';
+
+/**
+ * Returns the Realtime Database SDK, once an element loaded it.
+ */
+function sdk() {
+  return getServiceSdk('database');
+}
+
+/**
+ * Returns the deepest path that contains all of `paths`.
+ */
+function commonAncestor(paths) {
+  var segments = paths[0].split('/');
+
+  for (var i = 1; i < paths.length; i++) {
+    var other = paths[i].split('/');
+    var length = 0;
+
+    while (length < segments.length && segments[length] === other[length]) {
+      length++;
+    }
+
+    segments = segments.slice(0, length);
+  }
+
+  return segments.join('/') || '/';
+}
+
+/**
+ * Databases whose outbox has already been replayed by this page.
+ */
+var replayedDatabases = new WeakSet();
+
+/**
+ * Resolves once `db` is connected to the server.
+ */
+function whenConnected(db) {
+  var unsubscribe;
+
+  return new Promise(function(resolve) {
+    unsubscribe = sdk().onValue(sdk().ref(db, '.info/connected'),
+        function(snapshot) {
+          if (snapshot.val()) {
+            resolve();
+          }
+        });
+  }).then(function() {
+    unsubscribe();
+  });
+}
+
+/**
+ * Element class mixin for the elements that synchronize `data` with the
+ * Realtime Database.
+ *
+ * @mixinFunction
+ * @polymer
+ * @appliesMixin FirebaseDataMixin
+ */
+export const FirebaseDatabaseMixin = dedupingMixin(function(superClass) {
+  return class extends FirebaseDataMixin(superClass) {
+    static get properties() {
+      return {
+        db: {
+          type: Object,
+          computed: '__computeDb(app, _serviceLoaded)'
+        },
+
+        ref: {
+          type: Object,
+          computed: '__computeRef(db, path, disabled)',
+          observer: '__refChanged'
+        },
+
+        /**
+         * Path to a Firebase root or endpoint. N.B. `path` is case sensitive.
+         * @type {string|null}
+         */
+        path: {
+          type: String,
+          value: null,
+          observer: '__pathChanged'
+        },
+
+        /**
+         * When true, Firebase listeners won't be activated. This can be useful
+         * in situations where elements are loaded into the DOM before they're
+         * ready to be activated (e.g. navigation, initialization scenarios).
+         */
+        disabled: {
+          type: Boolean,
+          value: false
+        },
+
+        /**
+         * When false, `data` is read once instead of being kept up to date
+         * with listeners. Call `refresh()` to read it again, or set
+         * `pollInterval`. In markup, where a Boolean attribute can only turn
+         * a property on, use `once` instead.
+         */
+        live: {
+          type: Boolean,
+          value: true
+        },
+
+        /**
+         * When true, `data` is read once, as if `live` was false:
+         *
+         *     <firebase-document path="/reports/today" data="{{report}}" once>
+         *     </firebase-document>
+         */
+        once: {
+          type: Boolean,
+          value: false
+        },
+
+        /**
+         * Whether `data` is kept up to date with listeners, i.e. `live` and not
+         * `once`.
+         */
+        _live: {
+          type: Boolean,
+          computed: '__computeLive(live, once)'
+        },
+
+        /**
+         * When `data` is read once and this is greater than 0, `data` is read
+         * again every `pollInterval` milliseconds while the element is
+         * attached.
+         */
+        pollInterval: {
+          type: Number,
+          value: 0
+        },
+
+        /**
+         * True while `data` is being read from the server.
+         */
+        loading: {
+          type: Boolean,
+          value: false,
+          notify: true,
+          readOnly: true
+        },
+
+        /**
+         * A JSON Schema that values written from `data` must match. For
+         * `firebase-query`, it describes each item of `data`. Invalid
+         * writes are not sent; a `validation-error` event reports the `path`
+         * of the write and the `errors`, each with the `path` of the offending
+         * field and a `message`. Removing a value only fails if its parent
+         * requires it. See `firebase-schema.js` for the supported keywords.
+         */
+        schema: {
+          type: Object,
+          value: null
+        },
+
+        /**
+         * When true, the last known `data` is kept in IndexedDB. It is shown
+         * as soon as the element attaches, until the server answers.
+         *
+         * `firebase-auth` clears the cache of its app when another user signs
+         * in or the user signs out, and cached data that is still shown is
+         * then reset. Use `clearCache()` to clear it yourself.
+         */
+        cache: {
+          type: Boolean,
+          value: false
+        },
+
+        /**
+         * When true, writes are also recorded in IndexedDB until the server
+         * confirms them. Writes that were never confirmed, e.g. because the
+         * page was closed while offline, are replayed in order once an app
+         * with the same name and database connects after a reload, firing `write-replayed` or
+         * `write-replay-failed` for each of them. The writes of pages that are
+         * still open are left to them. Replaying requires the Web Locks API.
+         */
+        outbox: {
+          type: Boolean,
+          value: false
+        },
+
+        /**
+         * The number of writes that have not been confirmed by the server yet.
+         */
+        pendingWrites: {
+          type: Number,
+          value: 0,
+          notify: true,
+          readOnly: true
+        },
+
+        /**
+         * True while some writes have not been confirmed by the server yet.
+         */
+        hasPendingWrites: {
+          type: Boolean,
+          computed: '__computeHasPendingWrites(pendingWrites)',
+          notify: true
+        },
+
+        /**
+         * The time, in milliseconds since the epoch, at which `data` last
+         * matched the server: when it was loaded, or when the last write was
+         * confirmed.
+         */
+        lastSyncedAt: {
+          type: Number,
+          value: null,
+          notify: true,
+          readOnly: true
+        }
+      };
+    }
+
+    static get observers() {
+      return [
+        '__onlineChanged(online)',
+        '__replayOutbox(db, outbox)',
+        '__pollingChanged(_live, pollInterval)'
+      ];
+    }
+
+    constructor() {
+      super();
+
+      this.__onCacheCleared = this.__onCacheCleared.bind(this);
+    }
+
+    connectedCallback() {
+      super.connectedCallback();
+
+      window.addEventListener('firebase-cache-cleared', this.__onCacheCleared);
+      this._loadService('database');
+      this.__pollingChanged(this._live, this.pollInterval);
+    }
+
+    disconnectedCallback() {
+      super.disconnectedCallback();
+
+      window.removeEventListener('firebase-cache-cleared', this.__onCacheCleared);
+      this.__stopPolling();
+    }
+
+    /**
+     * Set the firebase value.
+     * @return {!Promise<void>}
+     */
+    _setFirebaseValue(path, value) {
+      var updates = {};
+
+      updates[path] = value;
+
+      if (!this._validateWrites(updates)) {
+        return this._rejectInvalidWrite(path);
+      }
+
+      this._logEvent('write', {path: path, value: value});
+      value = this._toFirebaseValue(value);
+      return this._trackWrite(path, this.__recordWrite({path: path, value: value},
+          sdk().set(sdk().ref(this.db, path), value)));
+    }
+
+    /**
+     * Writes several values at once with a single multi-path update.
+     * @param {!Object<string, *>} updates Values keyed by absolute path.
+     * @return {!Promise<void>}
+     */
+    _updateFirebaseValues(updates) {
+      var values = {};
+
+      if (!this._validateWrites(updates)) {
+        return this._rejectInvalidWrite(commonAncestor(Object.keys(updates)));
+      }
+
+      for (var path in updates) {
+        values[path] = this._toFirebaseValue(updates[path]);
+      }
+
+      this._logEvent('write', {path: null, updates: values});
+      return this._trackWrite(commonAncestor(Object.keys(values)),
+          this.__recordWrite({updates: values},
+              sdk().update(sdk().ref(this.db), values)));
+    }
+
+    /**
+     * Returns the path of `storagePath` within the values that `schema`
+     * describes, as a list of keys, or null if `schema` doesn't apply to it.
+     * Override this method if `schema` doesn't describe the value at `path`.
+     * @param {string} storagePath
+     * @param {string=} basePath The path of the value `schema` describes.
+     *     Defaults to `path`.
+     * @return {Array<string>}
+     */
+    _schemaPathOf(storagePath, basePath) {
+      basePath = basePath || this.path;
+
+      if (storagePath === basePath) {
+        return [];
+      }
+
+      if (storagePath.indexOf(basePath + '/') !== 0) {
+        return null;
+      }
+
+      return storagePath.slice(basePath.length + 1).split('/');
+    }
+
+    /**
+     * Validates values keyed by absolute path against `schema`, firing
+     * `validation-error` for the invalid ones.
+     * @param {!Object<string, *>} updates
+     * @param {string=} basePath The path of the value `schema` describes,
+     *     e.g. the location a document is about to be saved to. Defaults to
+     *     `path`.
+     * @return {boolean} True if all values are valid.
+     */
+    _validateWrites(updates, basePath) {
+      if (!this.schema) {
+        return true;
+      }
+
+      var errors = [];
+
+      for (var path in updates) {
+        var keys = this._schemaPathOf(path, basePath);
+        var parentSchema = null;
+        var schema = this.schema;
+
+        for (var i = 0; keys && schema && i < keys.length; i++) {
+          parentSchema = i === keys.length - 1 ? schema : null;
+          schema = childSchemaOf(schema, keys[i]);
+        }
+
+        if (updates[path] == null) {
+          // a null write deletes the value, which only its parent can forbid
+          if (parentSchema && (parentSchema.required || []).indexOf(
+              keys[keys.length - 1]) !== -1) {
+            errors.push({path: path, keyword: 'required', message: 'is required'});
+          }
+        } else if (schema === false) {
+          errors.push({
+            path: path,
+            keyword: 'additionalProperties',
+            message: 'is not allowed'
+          });
+        } else if (keys && schema) {
+          errors = errors.concat(validateValue(schema, updates[path], path));
+        }
+      }
+
+      if (errors.length) {
+        var writePath = commonAncestor(Object.keys(updates));
+
+        this._logEvent('validation-error', {path: writePath, errors: errors}, 'warn');
+        this._fire('validation-error', {path: writePath, errors: errors});
+      }
+
+      return !errors.length;
+    }
+
+    /**
+     * Reports a write that `_validateWrites` rejected.
+     * @return {!Promise} A rejected promise.
+     */
+    _rejectInvalidWrite(path) {
+      var error = this._createError('invalid-value',
+          'The value doesn\'t match the schema!', 'write');
+
+      error.path = path;
+      return Promise.reject(this.__onError(error, 'write', path));
+    }
+
+    /**
+     * Keeps the write in the outbox until `promise` settles.
+     * @return {!Promise} `promise`
+     */
+    __recordWrite(entry, promise) {
+      if (!this.outbox) {
+        return promise;
+      }
+
+      entry.app = this.app.name;
+      entry.database = this.__databaseUrl(this.db);
+      addOutboxEntry(entry).then(function(id) {
+        var remove = function() {
+          return removeOutboxEntry(id);
+        };
+
+        return promise.then(remove, remove);
+      }).catch(function(error) {
+        this._logEvent('outbox-error', {message: error.message}, 'warn');
+      }.bind(this));
+
+      return promise;
+    }
+
+    /**
+     * Replays the writes that closed pages left in the outbox, once per
+     * database.
+     */
+    __replayOutbox(db, outbox) {
+      if (!db || !outbox || replayedDatabases.has(db)) {
+        return;
+      }
+
+      replayedDatabases.add(db);
+
+      var appName = this.app.name;
+
+      whenConnected(db).then(function() {
+        return replayOutbox(appName, this.__databaseUrl(db), function(entries) {
+          return entries.reduce(function(previous, entry) {
+            return previous.then(function() {
+              return this.__replayWrite(db, entry);
+            }.bind(this));
+          }.bind(this), Promise.resolve());
+        }.bind(this));
+      }.bind(this)).catch(function(error) {
+        this._logEvent('outbox-error', {message: error.message}, 'warn');
+      }.bind(this));
+    }
+
+    /**
+     * Returns the URL of a database, which tells the databases of apps with
+     * the same name apart.
+     * @return {string}
+     */
+    __databaseUrl(db) {
+      return sdk().ref(db).toString();
+    }
+
+    __replayWrite(db, entry) {
+      var path = entry.updates ? commonAncestor(Object.keys(entry.updates)) :
+          entry.path;
+      var write = entry.updates ?
+          sdk().update(sdk().ref(db), entry.updates) :
+          sdk().set(sdk().ref(db, entry.path), entry.value);
+
+      this._logEvent('write', {path: path, replayed: true}, 'info');
+
+      // a rejected write is dropped, retrying it would fail again
+      return write.then(function() {
+        this._fire('write-replayed', {path: path, createdAt: entry.createdAt});
+      }.bind(this), function(error) {
+        error = this.__onError(error, 'write', path);
+        this._fire('write-replay-failed',
+            {path: path, createdAt: entry.createdAt, error: error});
+      }.bind(this)).then(function() {
+        return removeOutboxEntry(entry.id);
+      });
+    }
+
+    /**
+     * Counts `promise` as a pending write to `path` until it settles, then
+     * fires `write-committed` or `write-failed`. When the write is rejected
+     * by the security rules, the local value at `path` is rolled back to the
+     * server value.
+     *
+     * @param {string} path
+     * @param {!Promise} promise
+     * @return {!Promise}
+     */
+    _trackWrite(path, promise) {
+      this._setPendingWrites(this.pendingWrites + 1);
+
+      return promise.then(function(result) {
+        this._setPendingWrites(this.pendingWrites - 1);
+        this._setLastSyncedAt(Date.now());
+        this._fire('write-committed', {path: path});
+        return result;
+      }.bind(this), function(error) {
+        this._setPendingWrites(this.pendingWrites - 1);
+        error = this.__onError(error, 'write', path);
+        this._fire('write-failed', {path: path, error: error});
+
+        if (error.code === 'permission-denied') {
+          this._log('Rolling back', path, 'to the server value');
+          this._rollback(path);
+        }
+
+        throw error;
+      }.bind(this));
+    }
+
+    /**
+     * Records that `data` matches the server, unless writes are pending.
+     */
+    _markSynced() {
+      this._showsCache = false;
+
+      if (!this.pendingWrites) {
+        this._setLastSyncedAt(Date.now());
+      }
+    }
+
+    /**
+     * Override this method to restore the local value at `path` from the
+     * server after a rejected write.
+     * @return {!Promise}
+     */
+    _rollback(path) {
+      return Promise.resolve();
+    }
+
+    /**
+     * Converts a value from `data` to the value stored in the database:
+     * `$key` is dropped, a `$val` wrapper is unwrapped, and the sentinels
+     * `{$serverTimestamp: true}` and `{$increment: n}` become the matching
+     * server values. `value` itself is not modified.
+     */
+    _toFirebaseValue(value) {
+      if (value == null || typeof value !== 'object') {
+        return value;
+      }
+
+      if (value.hasOwnProperty('$val')) {
+        return this._toFirebaseValue(value.$val);
+      }
+
+      if (value.$serverTimestamp === true) {
+        return sdk().serverTimestamp();
+      }
+
+      if (typeof value.$increment === 'number') {
+        return sdk().increment(value.$increment);
+      }
+
+      var copy = Array.isArray(value) ? [] : {};
+      var changed = false;
+
+      Object.keys(value).forEach(function(key) {
+        if (key === '$key') {
+          changed = true;
+          return;
+        }
+
+        copy[key] = this._toFirebaseValue(value[key]);
+        changed = changed || copy[key] !== value[key];
+      }, this);
+
+      return changed ? copy : value;
+    }
+
+    /**
+     * Returns the key the data of this element is cached under, relative to
+     * its app. Override this method if the data depends on more than `path`.
+     * @return {string}
+     */
+    _cacheKey() {
+      return this.path;
+    }
+
+    /**
+     * Reads the cached data of this element.
+     * @return {!Promise<*>} Resolves with `undefined` if nothing is cached.
+     */
+    _readCache() {
+      if (!this.cache || !this.app) {
+        return Promise.resolve(undefined);
+      }
+
+      var key = this.app.name + ':' + this._cacheKey();
+
+      return readCachedValue(key).then(function(value) {
+        this._logEvent('cache-read', {key: key, hit: value !== undefined});
+        return value;
+      }.bind(this), function(error) {
+        this._logEvent('cache-error', {key: key, message: error.message}, 'warn');
+        return undefined;
+      }.bind(this));
+    }
+
+    /**
+     * Caches `value` as the data of this element. Without a value, the
+     * current `data` is cached once it settles.
+     */
+    _writeCache(value) {
+      if (!this.cache || !this.app) {
+        return;
+      }
+
+      var key = this.app.name + ':' + this._cacheKey();
+      var hasValue = arguments.length > 0;
+
+      this.__writeCacheDebouncer = Debouncer.debounce(
+          this.__writeCacheDebouncer, timeOut.after(100), function() {
+            if (!this.app || key !== this.app.name + ':' + this._cacheKey()) {
+              // the element moved on to other data, or lost its app
+              return;
+            }
+
+            writeCachedValue(key, hasValue ? value : this.data).catch(function(error) {
+              this._logEvent('cache-error', {key: key, message: error.message}, 'warn');
+            }.bind(this));
+          }.bind(this));
+    }
+
+    /**
+     * Resets `data` if it still shows values that were removed from the
+     * cache, e.g. those of a user who signed out.
+     */
+    __onCacheCleared(event) {
+      var app = event.detail.app;
+
+      if (!this._showsCache || !this.app ||
+          (app != null && app !== this.app.name)) {
+        return;
+      }
+
+      this._showsCache = false;
+      this.syncToMemory(function() {
+        this.set('data', this.zeroValue);
+      });
+    }
+
+    __computeDb(app, serviceLoaded) {
+      return app && serviceLoaded ?
+          connectEmulator(app, 'database', sdk().getDatabase(app)) : null;
+    }
+
+    __computeRef(db, path) {
+      if (db == null ||
+          path == null ||
+          !this.__pathReady(path) ||
+          this.disabled) {
+        return null;
+      }
+
+      return sdk().ref(db, path);
+    }
+
+    /**
+     * Override this method if needed.
+     * e.g. to detach or attach listeners.
+     */
+    __refChanged(ref, oldRef) {
+      return;
+    }
+
+    __pathChanged(path, oldPath) {
+      if (!this.disabled && !this.valueIsEmpty(this.data)) {
+        this.syncToMemory(function() {
+          this.data = this.zeroValue;
+          this.__needSetData = true;
+        });
+      }
+    }
+
+    __pathReady(path) {
+      return path && path.split('/').slice(1).indexOf('') < 0;
+    }
+
+    __computeLive(live, once) {
+      return live && !once;
+    }
+
+    __pollingChanged(live, pollInterval) {
+      this.__stopPolling();
+
+      if (!live && pollInterval > 0 && this.isConnected) {
+        this.__pollTimer = window.setInterval(function() {
+          if (this.ref) {
+            // errors are reported through the `error` event and `lastError`
+            this.refresh().catch(function() {});
+          }
+        }.bind(this), pollInterval);
+      }
+    }
+
+    __stopPolling() {
+      if (this.__pollTimer) {
+        window.clearInterval(this.__pollTimer);
+        this.__pollTimer = null;
+      }
+    }
+
+    __computeHasPendingWrites(pendingWrites) {
+      return pendingWrites > 0;
+    }
+
+    __onlineChanged(online) {
+      if (!this.ref) {
+        return;
+      }
+
+      // all elements of an app share the database connection, see
+      // `firebase-connection` to force it online or offline
+      setBrowserOnline(this.db, online);
+    }
+  };
+});
@@ -1 +1,31 @@
-import 'firebase/firebase-database.js';
+export {
+  child,
+  connectDatabaseEmulator,
+  endAt,
+  equalTo,
+  get,
+  getDatabase,
+  goOffline,
+  goOnline,
+  increment,
+  limitToFirst,
+  limitToLast,
+  onChildAdded,
+  onChildChanged,
+  onChildMoved,
+  onChildRemoved,
+  onDisconnect,
+  onValue,
+  orderByChild,
+  orderByKey,
+  orderByValue,
+  push,
+  query,
+  ref,
+  remove,
+  runTransaction,
+  serverTimestamp,
+  set,
+  startAt,
+  update
+} from 'firebase/database';
@@ -5,10 +5,64 @@ Use of this source code is governed by a BSD-style
 license that can be found in the LICENSE file or at
 https://github.com/firebase/polymerfire/blob/master/LICENSE
 */
-import '@polymer/polymer/polymer-legacy.js';
+import { FirebaseDatabaseMixin } from './firebase-database-mixin.js';
+import { getServiceSdk } from './firebase-loader.js';
+import { PolymerElement } from '@polymer/polymer/polymer-element.js';
+import { Debouncer } from '@polymer/polymer/lib/utils/debounce.js';
+import { microTask, timeOut } from '@polymer/polymer/lib/utils/async.js';
 
-import { FirebaseDatabaseBehavior } from './firebase-database-behavior.js';
-import { Polymer } from '@polymer/polymer/lib/legacy/polymer-fn.js';
+/**
+ * Returns the Realtime Database SDK, once the element loaded it.
+ */
+function sdk() {
+  return getServiceSdk('database');
+}
+
+function isObject(value) {
+  return value != null && typeof value === 'object';
+}
+
+function isSameValue(a, b) {
+  return a === b || (a == null && b == null);
+}
+
+/**
+ * Returns the value at the relative `segments` within `value`, or
+ * `undefined` if there is none.
+ */
+function valueAt(value, segments) {
+  for (var i = 0; i < segments.length; i++) {
+    if (!isObject(value)) {
+      return undefined;
+    }
+
+    value = value[segments[i]];
+  }
+
+  return value;
+}
+
+/**
+ * Returns a copy of `value` where the value at the relative `segments` is
+ * replaced by `leaf`, or removed if `leaf` is undefined. `value` itself is
+ * not modified.
+ */
+function withValueAt(value, segments, leaf) {
+  if (!segments.length) {
+    return leaf;
+  }
+
+  var copy = Object.assign({}, isObject(value) ? value : {});
+  var child = withValueAt(copy[segments[0]], segments.slice(1), leaf);
+
+  if (child === undefined) {
+    delete copy[segments[0]];
+  } else {
+    copy[segments[0]] = child;
+  }
+
+  return copy;
+}
 
 /**
  * The firebase-document element is an easy way to interact with a firebase
@@ -26,37 +80,168 @@ import { Polymer } from '@polymer/polymer/lib/legacy/polymer-fn.js';
  * databinding system. Changes to `noteData` will likewise be, sent back up
  * and stored.
  *
+ * Changes to `data` are written with a single multi-path `update()` per
+ * batch of changes, containing only the fields that changed. Users editing
+ * different fields of the same document don't overwrite each other.
+ *
+ * To write a server value, set a field to `{$serverTimestamp: true}` or to
+ * `{$increment: n}`. The field is replaced by the resolved value once the
+ * server answers:
+ *
+ *     this.set('noteData.updatedAt', {$serverTimestamp: true});
+ *     this.set('noteData.views', {$increment: 1});
+ *
+ * Writes that the server should make when the client disconnects can be
+ * registered with `onDisconnectSet()`, `onDisconnectUpdate()` and
+ * `onDisconnectRemove()`, or declaratively with `disconnect-value` (not
+ * `on-disconnect-value`, which Polymer would read as an event listener):
+ *
+ *     <firebase-document
+ *       path="/status/[[uid]]"
+ *       data="{{status}}"
+ *       disconnect-value='{"state": "offline"}'>
+ *     </firebase-document>
+ *
+ * The server runs them once and forgets them, so the element registers them
+ * again each time the client reconnects while it is attached. They are
+ * cancelled when the document moves to another location.
+ *
+ * With a `version-field`, writes only succeed if nobody else wrote to the
+ * document since it was read. The field holds a number that every write
+ * increments. When another client wrote first, a `conflict` event reports
+ * the `local` value that was being written, the `base` value it was based
+ * on and the `remote` value that is stored, and the conflict is resolved
+ * with `conflictResolver` or `conflictResolution`.
+ *
  * `<firebase-document>` needs some information about how to talk to Firebase.
  * Set this configuration by adding a `<firebase-app>` element anywhere in your
  * app.
  */
-Polymer({
-  is: 'firebase-document',
+export class FirebaseDocument extends FirebaseDatabaseMixin(PolymerElement) {
+  static get is() {
+    return 'firebase-document';
+  }
 
-  behaviors: [
-    FirebaseDatabaseBehavior
-  ],
+  static get properties() {
+    return {
+      /**
+       * The value the server sets at `path` when the client disconnects.
+       * `null` removes the location. Leave it undefined to not change the
+       * location on disconnect.
+       */
+      disconnectValue: {
+        type: Object
+      },
+
+      /**
+       * When greater than 0, changes to `data` are buffered until no change
+       * happened for this many milliseconds, and changes to the same field
+       * are written once. Buffered changes are also written when an element
+       * of the page loses focus, before the page unloads, when this element
+       * detaches, or when `flush()` is called.
+       */
+      writeDelay: {
+        type: Number,
+        value: 0
+      },
+
+      /**
+       * The field of the document that holds its version. When set, every
+       * write checks that the stored version is still the version that was
+       * read, and increments it.
+       */
+      versionField: {
+        type: String,
+        value: ''
+      },
+
+      /**
+       * How a version conflict is resolved when there is no
+       * `conflictResolver`: `keep-remote` discards the local changes and
+       * shows the stored value, `keep-local` writes the local value over it.
+       */
+      conflictResolution: {
+        type: String,
+        value: 'keep-remote'
+      },
+
+      /**
+       * Resolves version conflicts. Called with the `local`, `base` and
+       * `remote` values, it returns the value to write, or `undefined` to
+       * keep the remote value.
+       * @type {?function(*, *, *): *}
+       */
+      conflictResolver: {
+        type: Function,
+        value: null
+      },
+
+      /**
+       * True while changes to `data` are buffered and not written yet.
+       * Values read from the server in the meantime don't overwrite them.
+       */
+      dirty: {
+        type: Boolean,
+        value: false,
+        notify: true,
+        readOnly: true
+      }
+    };
+  }
+
+  static get observers() {
+    return [
+      '__disconnectValueChanged(ref, disconnectValue)',
+      '__liveChanged(_live)'
+    ];
+  }
+
+  constructor() {
+    super();
+
+    this.__dirtyPaths = {};
+    this.__flushPromise = null;
+    this.__flushQueued = false;
+    this.__disconnectOps = {};
+    this.__flushIfDirty = function() {
+      if (this.dirty) {
+        this.__flushQuietly();
+      }
+    }.bind(this);
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
 
-  attached: function() {
     this.__needSetData = true;
     this.__refChanged(this.ref, this.ref);
-  },
 
-  detached: function() {
-    if (this.ref) {
-      this.ref.off('value', this.__onFirebaseValue, this);
+    if (Object.keys(this.__disconnectOps).length) {
+      this.__watchConnection();
     }
-  },
 
+    document.addEventListener('focusout', this.__flushIfDirty, true);
+    window.addEventListener('beforeunload', this.__flushIfDirty);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener('focusout', this.__flushIfDirty, true);
+    window.removeEventListener('beforeunload', this.__flushIfDirty);
+    this.__flushIfDirty();
+    this.__unwatchConnection();
+
+    this.__unlisten(this.ref);
+  }
 
   get isNew() {
     return this.disabled || !this.__pathReady(this.path);
-  },
-
+  }
 
   get zeroValue() {
     return {};
-  },
+  }
 
   /**
    * Update the path and write this.data to that new location.
@@ -70,45 +255,160 @@ Polymer({
    *     written to the new path.
    *
    */
-  saveValue: function(parentPath, key) {
+  saveValue(parentPath, key) {
     return new Promise(function(resolve, reject) {
       var path = null;
 
-      if (!this.app) {
-        reject(new Error('No app configured!'));
+      if (!this.db) {
+        reject(this.__onError(
+            this._createError('no-app', 'No app configured!', 'save')));
+        return;
       }
 
-      if (key) {
-        path = parentPath + '/' + key;
-        resolve(this._setFirebaseValue(path, this.data));
-      } else {
-        path = firebase.database(this.app).ref(parentPath)
-            .push(this.data, function(error) {
-              if (error) {
-                reject(error);
-                return;
-              }
+      // a generated key is known right away, so both cases are plain sets
+      // that can be tracked and recorded in the outbox
+      path = parentPath + '/' +
+          (key || sdk().push(sdk().ref(this.db, parentPath)).key);
 
-              resolve();
-            }).path.toString();
+      // `schema` describes the document at its new location, which `path`
+      // doesn't point to yet
+      if (!this.__validateDocument(path, this.data)) {
+        resolve(this._rejectInvalidWrite(path));
+        return;
       }
 
+      resolve(this.versionField ?
+          this.__writeVersioned(path, null, this.data) :
+          this._setFirebaseValue(path, this.data));
+
       this.path = path;
     }.bind(this));
-  },
+  }
 
-  reset: function() {
+  reset() {
     this.path = null;
     return Promise.resolve();
-  },
+  }
+
+  destroy() {
+    var write = this.versionField ?
+        this.__writeVersioned(this.path, this.__serverValue, null) :
+        this._setFirebaseValue(this.path, null);
 
-  destroy: function() {
-    return this._setFirebaseValue(this.path, null).then(function() {
+    return write.then(function() {
       return this.reset();
     }.bind(this));
-  },
+  }
+
+  /**
+   * Atomically modifies the value at the document's location, or at
+   * `subPath` within it, using a database transaction.
+   *
+   * `updateFn` is called with the current value and returns the new value,
+   * or `undefined` to abort the transaction. It may be called several times
+   * if another client writes to the location concurrently, so it must not
+   * have side effects. `data` is updated with the committed value.
+   *
+   * Fires `transaction-aborted` with the `path`, `snapshot` and, if the
+   * transaction failed, the `error` when nothing was committed.
+   *
+   * @param {function(*): *} updateFn
+   * @param {string=} subPath A path relative to the document's `path`.
+   * @return {Promise} A promise that resolves with `committed` and the
+   *     final `snapshot` of the location.
+   */
+  transaction(updateFn, subPath) {
+    if (!this.db) {
+      return this._reject('no-app', 'No app configured!', 'transaction');
+    }
+
+    if (this.isNew) {
+      return this._reject('no-path', 'No path to run the transaction on!',
+          'transaction');
+    }
+
+    var path = this.__childPath(subPath);
+
+    this._logEvent('transaction', {path: path});
+
+    var ref = sdk().ref(this.db, path);
+
+    return sdk().runTransaction(ref, updateFn).then(function(result) {
+      this._logEvent('transaction', {path: path, committed: result.committed});
+
+      if (result.committed) {
+        this.__syncCommittedValue(path, result.snapshot.val());
+      } else {
+        this._fire('transaction-aborted', {path: path, snapshot: result.snapshot});
+      }
+
+      return {committed: result.committed, snapshot: result.snapshot};
+    }.bind(this), function(error) {
+      this._fire('transaction-aborted', {path: path, snapshot: null, error: error});
+      throw this.__onError(error, 'transaction', path);
+    }.bind(this));
+  }
 
-  memoryPathToStoragePath: function(path) {
+  /**
+   * Sets the value at the document's location, or at `subPath` within it,
+   * when the client disconnects.
+   *
+   * @param {*} value
+   * @param {string=} subPath A path relative to the document's `path`.
+   * @return {Promise} A promise that resolves once the server registered
+   *     the operation.
+   */
+  onDisconnectSet(value, subPath) {
+    return this.__onDisconnect('set', subPath, value);
+  }
+
+  /**
+   * Updates the children of the document's location, or of `subPath`
+   * within it, when the client disconnects.
+   *
+   * @param {!Object} values Values keyed by relative child path.
+   * @param {string=} subPath A path relative to the document's `path`.
+   * @return {Promise} A promise that resolves once the server registered
+   *     the operation.
+   */
+  onDisconnectUpdate(values, subPath) {
+    return this.__onDisconnect('update', subPath, values);
+  }
+
+  /**
+   * Removes the document's location, or `subPath` within it, when the
+   * client disconnects.
+   *
+   * @param {string=} subPath A path relative to the document's `path`.
+   * @return {Promise} A promise that resolves once the server registered
+   *     the operation.
+   */
+  onDisconnectRemove(subPath) {
+    return this.__onDisconnect('remove', subPath);
+  }
+
+  /**
+   * Cancels the operations registered for the document's location, or for
+   * `subPath` within it, and for their descendants.
+   *
+   * @param {string=} subPath A path relative to the document's `path`.
+   * @return {Promise} A promise that resolves once the server cancelled
+   *     the operations.
+   */
+  cancelOnDisconnect(subPath) {
+    if (!this.db) {
+      return this._reject('no-app', 'No app configured!', 'onDisconnect');
+    }
+
+    if (this.isNew) {
+      return this._reject('no-path', 'No path to cancel operations on!',
+          'onDisconnect');
+    }
+
+    return this.__cancelOnDisconnect(this.db, this.__childPath(subPath));
+  }
+
+  memoryPathToStoragePath(path) {
     var storagePath = this.path;
 
     if (path !== 'data') {
@@ -116,9 +416,9 @@ Polymer({
     }
 
     return storagePath;
-  },
+  }
 
-  storagePathToMemoryPath: function(storagePath) {
+  storagePathToMemoryPath(storagePath) {
     var path = 'data';
 
     storagePath =
@@ -129,47 +429,563 @@ Polymer({
     }
 
     return path;
-  },
+  }
 
-  getStoredValue: function(path) {
-    return new Promise(function(resolve, reject) {
-      this.db.ref(path).once('value', function(snapshot) {
+  getStoredValue(path) {
+    // the element is usually ready before the database SDK is loaded
+    return this.whenReady().then(function() {
+      return sdk().get(sdk().ref(this.db, path)).then(function(snapshot) {
         var value = snapshot.val();
-        if (value == null) {
-          resolve(this.zeroValue);
+        return value == null ? this.zeroValue : value;
+      }.bind(this), function(error) {
+        throw this.__onError(error, 'read', path);
+      }.bind(this));
+    }.bind(this));
+  }
+
+  setStoredValue(path, value) {
+    if (!Object.keys(this.__dirtyPaths).length) {
+      // the value the buffered changes are based on
+      this.__basePath = this.path;
+      this.__baseValue = this.__serverValue;
+    }
+
+    if (path === this.path && isObject(value) && isObject(this.__serverValue)) {
+      // the new value replaces the changes buffered so far
+      for (var dirtyPath in this.__dirtyPaths) {
+        if (dirtyPath === path || dirtyPath.indexOf(path + '/') === 0) {
+          delete this.__dirtyPaths[dirtyPath];
         }
-        resolve(value);
-      }, this.__onError, this);
+      }
+
+      // only write the fields that differ from the stored value
+      this.__markChangedPaths(path, this.__serverValue,
+          this._toFirebaseValue(value));
+    } else {
+      this.__markDirty(path, value);
+    }
+
+    return this.__scheduleFlush();
+  }
+
+  /**
+   * Marks `path` for the next update, merging it with the paths that are
+   * already marked. The update would fail if it contained both a path and
+   * one of its ancestors.
+   */
+  __markDirty(path, value) {
+    var dirtyPaths = this.__dirtyPaths;
+
+    for (var dirtyPath in dirtyPaths) {
+      if (path.indexOf(dirtyPath + '/') === 0) {
+        dirtyPaths[dirtyPath] = withValueAt(dirtyPaths[dirtyPath],
+            path.slice(dirtyPath.length + 1).split('/'), value);
+        return;
+      }
+
+      if (dirtyPath.indexOf(path + '/') === 0) {
+        delete dirtyPaths[dirtyPath];
+      }
+    }
+
+    dirtyPaths[path] = value;
+  }
+
+  __markChangedPaths(path, base, value) {
+    if (isObject(base) && isObject(value)) {
+      var keys = Object.keys(base).concat(Object.keys(value));
+
+      for (var i = 0; i < keys.length; i++) {
+        var key = keys[i];
+        var childValue = value.hasOwnProperty(key) ? value[key] : null;
+
+        this.__markChangedPaths(path + '/' + key, base[key], childValue);
+      }
+    } else if (!isSameValue(base, value)) {
+      this.__markDirty(path, value);
+    }
+  }
+
+  /**
+   * Writes the buffered changes to `data` right away.
+   *
+   * @return {Promise} A promise that resolves once the changes are
+   *     written, or rejects if there is no app to write them to.
+   */
+  flush() {
+    var updates = this.__dirtyPaths;
+    var resolveFlush = this.__resolveFlush;
+
+    if (this.__flushDebouncer) {
+      this.__flushDebouncer.cancel();
+    }
+    this.__dirtyPaths = {};
+    this.__flushPromise = null;
+    this.__resolveFlush = null;
+    this.__flushQueued = false;
+    this._setDirty(false);
+
+    if (!resolveFlush) {
+      return Promise.resolve();
+    }
+
+    var result;
+
+    if (!Object.keys(updates).length) {
+      result = Promise.resolve();
+    } else if (!this.db) {
+      result = this._reject('no-app', 'No app configured!', 'write');
+    } else if (this.versionField) {
+      result = this.__writeVersionedUpdates(updates);
+    } else {
+      result = this._updateFirebaseValues(updates);
+    }
+
+    resolveFlush(result);
+    return result;
+  }
+
+  /**
+   * Writes the buffered changes as a whole new value of the document,
+   * checking its version.
+   */
+  __writeVersionedUpdates(updates) {
+    var path = this.__basePath;
+    var base = this.__baseValue;
+    var local = base;
+
+    for (var updatePath in updates) {
+      local = updatePath === path ? updates[updatePath] :
+          withValueAt(local, updatePath.slice(path.length + 1).split('/'),
+              updates[updatePath]);
+    }
+
+    return this.__writeVersioned(path, base, local);
+  }
+
+  /**
+   * Writes `local` at `path` with a transaction that only commits if the
+   * stored version is still the version of `base`.
+   *
+   * @return {!Promise}
+   */
+  __writeVersioned(path, base, local) {
+    if (!this.__validateDocument(path, local)) {
+      return this._rejectInvalidWrite(path);
+    }
+
+    return this._trackWrite(path, this.__commitVersioned(path, base, local));
+  }
+
+  /**
+   * Validates the whole document `value` about to be written at `path`.
+   * @return {boolean}
+   */
+  __validateDocument(path, value) {
+    var updates = {};
+
+    updates[path] = value;
+    return this._validateWrites(updates, path);
+  }
+
+  __commitVersioned(path, base, local) {
+    var versionField = this.versionField;
+    var baseVersion = isObject(base) ? base[versionField] : null;
+    var conflict = false;
+
+    this._log('Writing version', baseVersion, 'at', path);
+
+    return sdk().runTransaction(sdk().ref(this.db, path), function(current) {
+      var currentVersion = isObject(current) ? current[versionField] : null;
+
+      conflict = !isSameValue(currentVersion, baseVersion);
+
+      if (conflict) {
+        // Committing the current value unchanged, instead of aborting,
+        // makes the server check it, since the first attempt runs on the
+        // client's possibly outdated copy.
+        return current;
+      }
+
+      if (local == null) {
+        return null;
+      }
+
+      var next = Object.assign({}, this._toFirebaseValue(local));
+
+      next[versionField] = (currentVersion || 0) + 1;
+      return next;
+    }.bind(this)).then(function(result) {
+      var remote = result.snapshot.val();
+
+      if (!conflict) {
+        this.__syncCommittedValue(path, remote);
+        return;
+      }
+
+      return this.__resolveConflict(path, base, local, remote);
     }.bind(this));
-  },
+  }
+
+  __resolveConflict(path, base, local, remote) {
+    var resolved;
 
-  setStoredValue: function(path, value) {
-    return this._setFirebaseValue(path, value);
-  },
+    this._logEvent('conflict', {path: path, local: local, base: base, remote: remote},
+        'warn');
+    this._fire('conflict', {path: path, local: local, base: base, remote: remote});
 
-  __refChanged: function(ref, oldRef) {
-    if (oldRef) {
-      oldRef.off('value', this.__onFirebaseValue, this);
+    if (this.conflictResolver) {
+      resolved = this.conflictResolver(local, base, remote);
+    } else if (this.conflictResolution === 'keep-local') {
+      resolved = local;
     }
 
-    if (ref) {
-      ref.on('value', this.__onFirebaseValue, this.__onError, this);
+    if (resolved !== undefined) {
+      // write again, based on the value that won the race
+      return this.__commitVersioned(path, remote, resolved);
     }
-  },
 
-  __onFirebaseValue: function(snapshot) {
+    this.__syncCommittedValue(path, remote);
+    throw this._createError('version-conflict',
+        'The document was changed by someone else!', 'write');
+  }
+
+  /**
+   * Writes the marked paths once the current batch of changes is done, or
+   * after `writeDelay`.
+   * @return {!Promise}
+   */
+  __scheduleFlush() {
+    if (!this.__flushPromise) {
+      this.__flushPromise = new Promise(function(resolve) {
+        this.__resolveFlush = resolve;
+      }.bind(this));
+    }
+
+    if (this.writeDelay > 0) {
+      this._setDirty(true);
+      this.__flushDebouncer = Debouncer.debounce(this.__flushDebouncer,
+          timeOut.after(this.writeDelay), this.__flushQuietly.bind(this));
+    } else if (!this.__flushQueued) {
+      this.__flushQueued = true;
+      Promise.resolve().then(this.__flushQuietly.bind(this));
+    }
+
+    return this.__flushPromise;
+  }
+
+  /**
+   * Flushes the buffered changes without a caller. Failures are reported
+   * through `error` and `write-failed`, and reject the promises returned
+   * for the changes.
+   */
+  __flushQuietly() {
+    this.flush().catch(function() {});
+  }
+
+  __refChanged(ref, oldRef) {
+    if (ref !== oldRef) {
+      this.__serverValue = undefined;
+
+      // the operations registered on disconnect belong to the old location
+      if (oldRef && Object.keys(this.__disconnectOps).length) {
+        this.__cancelOnDisconnect(oldRef).catch(function() {});
+      }
+    }
+
+    this.__unlisten(oldRef);
+
+    if (!ref) {
+      this._setLoading(false);
+      return;
+    }
+
+    if (this._live) {
+      this._setLoading(this.__serverValue === undefined);
+      this.__unsubscribeValue = sdk().onValue(ref,
+          this.__onFirebaseValue.bind(this), this.__onListenError.bind(this));
+      this._logEvent('listener-attach',
+          {path: this._pathOf(ref), event: 'value'});
+    } else {
+      this.__fetch(ref).catch(function() {});
+    }
+
+    this.__renderCache(ref);
+  }
+
+  /**
+   * Reads `data` from the server again. Useful when `data` is read once,
+   * see `once`.
+   *
+   * @return {Promise} A promise that resolves once the value is read.
+   */
+  refresh() {
+    if (!this.ref) {
+      return this._reject('no-path', 'No path to read from!', 'read');
+    }
+
+    return this.__fetch(this.ref);
+  }
+
+  /**
+   * Stops listening to the value of `ref`, if the element listens to it.
+   */
+  __unlisten(ref) {
+    if (!this.__unsubscribeValue) {
+      return;
+    }
+
+    this.__unsubscribeValue();
+    this.__unsubscribeValue = null;
+    this._logEvent('listener-detach', {path: this._pathOf(ref), event: 'value'});
+  }
+
+  __fetch(ref) {
+    this._setLoading(true);
+
+    return sdk().get(ref).then(function(snapshot) {
+      if (this.ref === ref) {
+        this.__onFirebaseValue(snapshot);
+      }
+    }.bind(this), function(error) {
+      this._setLoading(false);
+      throw this.__onError(error, 'read', this._pathOf(ref));
+    }.bind(this));
+  }
+
+  __liveChanged(live) {
+    if (this.isConnected) {
+      this.__refChanged(this.ref, this.ref);
+    }
+  }
+
+  /**
+   * Shows the cached data of `ref` until the server value arrives.
+   */
+  __renderCache(ref) {
+    if (!this.cache || this.__serverValue !== undefined) {
+      return;
+    }
+
+    this._readCache().then(function(value) {
+      if (value === undefined || this.ref !== ref ||
+          this.__serverValue !== undefined) {
+        return;
+      }
+
+      this.syncToMemory(function() {
+        this._log('Updating data from cache:', value);
+        this._showsCache = true;
+        this.set('data', value == null ? this.zeroValue : value);
+        // the server value replaces the cached data as a whole
+        this.__needSetData = true;
+      });
+    }.bind(this));
+  }
+
+  _rollback(path) {
+    return sdk().get(sdk().ref(this.db, path)).then(function(snapshot) {
+      this.__syncCommittedValue(path, snapshot.val());
+    }.bind(this), function(error) {
+      this.__onError(error, 'read', path);
+    }.bind(this));
+  }
+
+  /**
+   * Returns the absolute path of `subPath` within the document's location.
+   */
+  __childPath(subPath) {
+    return subPath ?
+        this.path + '/' + subPath.replace(/^\/+|\/+$/g, '') : this.path;
+  }
+
+  __onDisconnect(type, subPath, value) {
+    if (!this.db) {
+      return this._reject('no-app', 'No app configured!', 'onDisconnect');
+    }
+
+    if (this.isNew) {
+      return this._reject('no-path', 'No path to register the operation on!',
+          'onDisconnect');
+    }
+
+    var path = this.__childPath(subPath);
+
+    this.__disconnectOps[path] = {type: type, value: value};
+
+    if (this.isConnected) {
+      this.__watchConnection();
+    }
+
+    return this.__armOnDisconnect(path);
+  }
+
+  /**
+   * Registers the operation recorded for `path` with the server.
+   */
+  __armOnDisconnect(path) {
+    var op = this.__disconnectOps[path];
+    var onDisconnect = sdk().onDisconnect(sdk().ref(this.db, path));
+    var result;
+
+    this._logEvent('on-disconnect', {path: path, type: op.type});
+
+    if (op.type === 'set') {
+      result = onDisconnect.set(this._toFirebaseValue(op.value));
+    } else if (op.type === 'update') {
+      result = onDisconnect.update(this._toFirebaseValue(op.value));
+    } else {
+      result = onDisconnect.remove();
+    }
+
+    return result.catch(function(error) {
+      throw this.__onError(error, 'onDisconnect', path);
+    }.bind(this));
+  }
+
+  __cancelOnDisconnect(ref) {
+    var path = this._pathOf(ref);
+
+    for (var opPath in this.__disconnectOps) {
+      if (opPath === path || opPath.indexOf(path + '/') === 0) {
+        delete this.__disconnectOps[opPath];
+      }
+    }
+
+    if (!Object.keys(this.__disconnectOps).length) {
+      this.__unwatchConnection();
+    }
+
+    this._logEvent('on-disconnect', {path: path, type: 'cancel'});
+
+    return sdk().onDisconnect(ref).cancel().catch(function(error) {
+      throw this.__onError(error, 'onDisconnect', path);
+    }.bind(this));
+  }
+
+  __disconnectValueChanged(ref, disconnectValue) {
+    var armedRef = this.__disconnectValueRef;
+
+    this.__disconnectValueRef = null;
+
+    if (armedRef && armedRef !== ref) {
+      this.__cancelOnDisconnect(armedRef).catch(function() {});
+    }
+
+    if (!ref || this.isNew) {
+      return;
+    }
+
+    if (disconnectValue === undefined) {
+      if (armedRef === ref) {
+        this.__cancelOnDisconnect(ref).catch(function() {});
+      }
+
+      return;
+    }
+
+    this.__disconnectValueRef = ref;
+    // errors are reported through the `error` event and `lastError`
+    this.onDisconnectSet(disconnectValue).catch(function() {});
+  }
+
+  /**
+   * Registers the recorded operations again whenever the client
+   * reconnects, since the server forgets them once they ran.
+   */
+  __watchConnection() {
+    if (this.__unsubscribeConnected || !this.db) {
+      return;
+    }
+
+    this.__unsubscribeConnected = sdk().onValue(
+        sdk().ref(this.db, '.info/connected'),
+        this.__onConnectedValue.bind(this), this.__onListenError.bind(this));
+  }
+
+  __unwatchConnection() {
+    if (this.__unsubscribeConnected) {
+      this.__unsubscribeConnected();
+      this.__unsubscribeConnected = null;
+    }
+  }
+
+  __onConnectedValue(snapshot) {
+    if (!snapshot.val() || !this.db) {
+      return;
+    }
+
+    for (var path in this.__disconnectOps) {
+      this.__armOnDisconnect(path).catch(function() {});
+    }
+  }
+
+  /**
+   * Puts a value that is already stored at `path` into `data`, without
+   * writing it back to the database.
+   */
+  __syncCommittedValue(path, value) {
+    if (path !== this.path && path.indexOf(this.path + '/') !== 0) {
+      // the document moved while the transaction ran
+      return;
+    }
+
+    this.syncToMemory(function() {
+      if (path === this.path) {
+        this.__needSetData = false;
+        this.set('data', value == null ? this.zeroValue : value);
+      } else if (this.data) {
+        this.set(['data'].concat(path.slice(this.path.length + 1).split('/')),
+            value);
+      }
+    });
+  }
+
+  /**
+   * Returns a copy of a value read from the server with the buffered
+   * changes of `data` applied.
+   */
+  __withDirtyValues(value) {
+    for (var dirtyPath in this.__dirtyPaths) {
+      if (dirtyPath === this.path) {
+        return this.data;
+      }
+
+      if (dirtyPath.indexOf(this.path + '/') === 0) {
+        var segments = dirtyPath.slice(this.path.length + 1).split('/');
+
+        value = withValueAt(value, segments, valueAt(this.data, segments));
+      }
+    }
+
+    return value;
+  }
+
+  __onFirebaseValue(snapshot) {
     var value = snapshot.val();
 
+    // a copy of the stored value that `data` bindings can't modify
+    this.__serverValue = snapshot.val();
+
+    this._logEvent('read',
+        {path: this._pathOf(snapshot.ref), event: 'value', value: value});
+    this._markSynced();
+    this._setLoading(false);
+    this._writeCache(this.__serverValue);
+
     if (value == null) {
       value = this.zeroValue;
       this.__needSetData = true;
     }
 
     if (!this.isNew) {
-      this.async(function() {
+      microTask.run(function() {
         this.syncToMemory(function() {
           this._log('Updating data from Firebase value:', value);
 
+          // changes that are not written yet must not be reverted
+          value = this.__withDirtyValues(value);
+
           // set the value if:
           // it is the first time we run this (or the path has changed and we are back with zeroValue)
           // or if  this.data does not exist
@@ -187,7 +1003,9 @@ Polymer({
             }
           }
         });
-      });
+      }.bind(this));
     }
   }
-});
+}
+
+customElements.define(FirebaseDocument.is, FirebaseDocument);
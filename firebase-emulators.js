@@ -0,0 +1,126 @@
+/**
+@license
+Copyright 2016 Google Inc. All Rights Reserved.
+Use of this source code is governed by a BSD-style
+license that can be found in the LICENSE file or at
+https://github.com/firebase/polymerfire/blob/master/LICENSE
+*/
+import { getServiceSdk } from './firebase-loader.js';
+
+/**
+ * The SDK functions that return the instance of a service for an app, and
+ * that point it at an emulator, keyed by service name.
+ */
+var emulatedServices = {
+  auth: {getInstance: 'getAuth', connect: 'connectAuthEmulator'},
+  database: {getInstance: 'getDatabase', connect: 'connectDatabaseEmulator'},
+  functions: {getInstance: 'getFunctions', connect: 'connectFunctionsEmulator'},
+  storage: {getInstance: 'getStorage', connect: 'connectStorageEmulator'}
+};
+
+/**
+ * Emulator endpoints keyed by app name, then by service name.
+ */
+var emulatorConfigs = {};
+
+/**
+ * Service instances that have already been pointed at an emulator. The SDK
+ * throws if an instance is connected to an emulator after it has been used,
+ * so each instance is only ever connected once.
+ */
+var connectedInstances = new WeakSet();
+
+/**
+ * Splits a `host:port` string (optionally prefixed with a protocol) into
+ * its host and numeric port.
+ *
+ * @param {string} target
+ * @return {{host: string, port: number}}
+ */
+function parseHost(target) {
+  var host = target.replace(/^[a-z]+:\/\//i, '').replace(/\/+$/, '');
+  var separator = host.lastIndexOf(':');
+
+  return {
+    host: host.slice(0, separator),
+    port: window.parseInt(host.slice(separator + 1), 10)
+  };
+}
+
+/**
+ * Records the Local Emulator Suite endpoints that the services of `app`
+ * should talk to.
+ *
+ * @param {!FirebaseApp} app
+ * @param {!Object<string, ?string>} config Emulator endpoints keyed by
+ *     service name (`database`, `auth`, `storage` or `functions`). Auth
+ *     takes a URL, the other services take a `host:port` string.
+ */
+export function registerEmulators(app, config) {
+  emulatorConfigs[app.name] = config;
+}
+
+/**
+ * Forgets the emulator endpoints of `app`, e.g. once it has been deleted.
+ *
+ * @param {!FirebaseApp} app
+ */
+export function unregisterEmulators(app) {
+  delete emulatorConfigs[app.name];
+}
+
+/**
+ * Points a service of `app` at its emulator, if one was registered for it.
+ * The SDK of the service must be loaded.
+ *
+ * @param {!FirebaseApp} app
+ * @param {string} service The service name, e.g. `database`.
+ * @param {Object=} instance The service instance to connect. Defaults to
+ *     the app's default instance of that service.
+ * @return {Object|undefined} The service instance, if one was connected.
+ */
+export function connectEmulator(app, service, instance) {
+  var config = emulatorConfigs[app.name];
+  var target = config && config[service];
+  var sdk = getServiceSdk(service);
+
+  if (!target) {
+    return instance;
+  }
+
+  instance = instance || sdk[emulatedServices[service].getInstance](app);
+
+  if (connectedInstances.has(instance)) {
+    return instance;
+  }
+
+  connectedInstances.add(instance);
+
+  var connect = sdk[emulatedServices[service].connect];
+
+  if (service === 'auth') {
+    connect(instance, /^[a-z]+:\/\//i.test(target) ?
+        target : 'http://' + target);
+  } else {
+    var endpoint = parseHost(target);
+    connect(instance, endpoint.host, endpoint.port);
+  }
+
+  return instance;
+}
+
+/**
+ * Connects every registered emulator of `app` whose service SDK is loaded.
+ *
+ * @param {!FirebaseApp} app
+ */
+export function connectEmulators(app) {
+  var config = emulatorConfigs[app.name] || {};
+
+  for (var service in config) {
+    if (config[service] && emulatedServices[service] &&
+        getServiceSdk(service)) {
+      connectEmulator(app, service);
+    }
+  }
+}
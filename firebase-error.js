@@ -0,0 +1,110 @@
+/**
+@license
+Copyright 2016 Google Inc. All Rights Reserved.
+Use of this source code is governed by a BSD-style
+license that can be found in the LICENSE file or at
+https://github.com/firebase/polymerfire/blob/master/LICENSE
+*/
+
+/**
+ * Error codes of transient failures, which may succeed if retried. Service
+ * prefixes such as `auth/` are ignored when matching.
+ */
+var RETRYABLE_CODES = [
+  'aborted',
+  'deadline-exceeded',
+  'disconnected',
+  'internal',
+  'network-error',
+  'network-request-failed',
+  'resource-exhausted',
+  'retry-limit-exceeded',
+  'unavailable'
+];
+
+/**
+ * Normalizes the codes of the different Firebase SDKs, e.g.
+ * `PERMISSION_DENIED` from the Realtime Database, to the dashed lower case
+ * form used by the other SDKs, e.g. `permission-denied`.
+ *
+ * @param {*} code
+ * @return {string}
+ */
+function normalizeCode(code) {
+  return code ? String(code).toLowerCase().replace(/_/g, '-') : 'unknown';
+}
+
+/**
+ * The error type used by every Polymerfire element, both for rejected
+ * promises and for `error` events.
+ */
+export class FirebaseElementError extends Error {
+  /**
+   * @param {string} message
+   * @param {{
+   *   code: (string|undefined),
+   *   operation: (string|undefined),
+   *   path: (?string|undefined),
+   *   element: (Element|undefined),
+   *   retryable: (boolean|undefined),
+   *   cause: (*|undefined)
+   * }=} options
+   */
+  constructor(message, options) {
+    super(message);
+    options = options || {};
+
+    this.name = 'FirebaseElementError';
+
+    /** The error code, e.g. `permission-denied` or `auth/user-not-found`. */
+    this.code = normalizeCode(options.code);
+
+    /** The operation that failed, e.g. `write` or `signIn`. */
+    this.operation = options.operation || null;
+
+    /** The database or storage path the operation was made on, if any. */
+    this.path = options.path == null ? null : options.path;
+
+    /** The element that reported the error. */
+    this.element = options.element || null;
+
+    /** Whether the operation may succeed if retried. */
+    this.retryable = options.retryable != null ?
+        options.retryable :
+        RETRYABLE_CODES.indexOf(this.code.replace(/^[a-z]+\//, '')) >= 0;
+
+    /** The original error, if this error wraps one. */
+    this.cause = options.cause == null ? null : options.cause;
+  }
+
+  /**
+   * Wraps any error, e.g. one from the Firebase SDK or a plain string, into
+   * a `FirebaseElementError`. Fields missing from `error` are taken from
+   * `options`.
+   *
+   * @param {*} error
+   * @param {Object=} options See the constructor.
+   * @return {!FirebaseElementError}
+   */
+  static from(error, options) {
+    options = options || {};
+
+    if (error instanceof FirebaseElementError) {
+      error.operation = error.operation || options.operation || null;
+      error.path = error.path == null ? options.path || null : error.path;
+      error.element = error.element || options.element || null;
+      return error;
+    }
+
+    var message = error && error.message ? error.message : String(error);
+
+    return new FirebaseElementError(message, {
+      code: error && error.code || options.code,
+      operation: options.operation,
+      path: options.path,
+      element: options.element,
+      retryable: options.retryable,
+      cause: error
+    });
+  }
+}
@@ -0,0 +1,210 @@
+/**
+@license
+Copyright 2016 Google Inc. All Rights Reserved.
+Use of this source code is governed by a BSD-style
+license that can be found in the LICENSE file or at
+https://github.com/firebase/polymerfire/blob/master/LICENSE
+*/
+import { FirebaseFirestoreMixin } from './firebase-firestore-mixin.js';
+import { getServiceSdk } from './firebase-loader.js';
+import { PolymerElement } from '@polymer/polymer/polymer-element.js';
+import { microTask } from '@polymer/polymer/lib/utils/async.js';
+
+/**
+ * Returns the Cloud Firestore SDK, once the element loaded it.
+ */
+function sdk() {
+  return getServiceSdk('firestore');
+}
+
+function hasSameKeys(a, b) {
+  var keys = Object.keys(a);
+
+  return keys.length === Object.keys(b).length &&
+      keys.every(function(key) {
+        return b.hasOwnProperty(key);
+      });
+}
+
+/**
+ * The firebase-firestore-document element is an easy way to interact with a
+ * Cloud Firestore document as an object and expose it to the Polymer
+ * databinding system.
+ *
+ * For example:
+ *
+ *     <firebase-firestore-document
+ *       path="/users/[[userId]]/notes/[[noteId]]"
+ *       data="{{noteData}}">
+ *     </firebase-firestore-document>
+ *
+ * This fetches the `noteData` object from the Firestore document at
+ * `/users/${userId}/notes/${noteId}` and exposes it to the Polymer
+ * databinding system. Changes to `noteData` will likewise be sent back up
+ * and stored, field by field.
+ *
+ * `<firebase-firestore-document>` needs some information about how to talk
+ * to Firebase. Set this configuration by adding a `<firebase-app>` element
+ * anywhere in your app.
+ */
+export class FirebaseFirestoreDocument extends FirebaseFirestoreMixin(PolymerElement) {
+  static get is() {
+    return 'firebase-firestore-document';
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.__needSetData = true;
+    this.__refChanged(this.ref, this.ref);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.__unsubscribe();
+  }
+
+  get isNew() {
+    return this.disabled || !this.__pathReady(this.path);
+  }
+
+  get zeroValue() {
+    return {};
+  }
+
+  /**
+   * Update the path and write this.data to that new location.
+   *
+   * Important note: `this.path` is updated asynchronously.
+   *
+   * @param {string} parentPath The path of the collection to write to.
+   * @param {string=} key The ID of the document within the collection to
+   *     write `data` to. If not given, a random ID will be generated and used.
+   * @return {Promise} A promise that resolves once this.data has been
+   *     written to the new path.
+   */
+  saveValue(parentPath, key) {
+    return new Promise(function(resolve, reject) {
+      if (!this.db) {
+        reject(this.__onError(
+            this._createError('no-app', 'No app configured!', 'save')));
+        return;
+      }
+
+      var collection = sdk().collection(this.db, parentPath);
+      var ref = key ? sdk().doc(collection, key) : sdk().doc(collection);
+
+      resolve(this._setFirestoreValue(ref.path, this.data));
+
+      this.path = '/' + ref.path;
+    }.bind(this));
+  }
+
+  reset() {
+    this.path = null;
+    return Promise.resolve();
+  }
+
+  destroy() {
+    if (!this.db) {
+      return this._reject('no-app', 'No app configured!', 'destroy');
+    }
+
+    return sdk().deleteDoc(sdk().doc(this.db, this.path)).then(function() {
+      return this.reset();
+    }.bind(this), function(error) {
+      throw this.__onError(error, 'destroy');
+    }.bind(this));
+  }
+
+  memoryPathToStoragePath(path) {
+    var storagePath = this.path;
+
+    if (path !== 'data') {
+      storagePath += path.replace(/^data\.?/, '/').split('.').join('/');
+    }
+
+    return storagePath;
+  }
+
+  storagePathToMemoryPath(storagePath) {
+    var path = 'data';
+
+    storagePath =
+        storagePath.replace(this.path, '').split('/').filter(Boolean).join('.');
+
+    if (storagePath) {
+      path += '.' + storagePath;
+    }
+
+    return path;
+  }
+
+  getStoredValue(path) {
+    // the element is usually ready before the Firestore SDK is loaded
+    return this.whenReady().then(function() {
+      return sdk().getDoc(sdk().doc(this.db, path));
+    }.bind(this)).then(function(snapshot) {
+      return snapshot.exists() ? snapshot.data() : this.zeroValue;
+    }.bind(this));
+  }
+
+  setStoredValue(path, value) {
+    return this._writeFirestoreValue(path, value);
+  }
+
+  __refChanged(ref, oldRef) {
+    this.__unsubscribe();
+
+    if (ref) {
+      this._logEvent('listener-attach', {path: '/' + ref.path});
+      this.__unsubscribeSnapshot = sdk().onSnapshot(ref,
+          this.__onFirestoreSnapshot.bind(this), this.__onListenError.bind(this));
+    }
+  }
+
+  __unsubscribe() {
+    if (this.__unsubscribeSnapshot) {
+      this.__unsubscribeSnapshot();
+      this.__unsubscribeSnapshot = null;
+      this._logEvent('listener-detach');
+    }
+  }
+
+  __onFirestoreSnapshot(snapshot) {
+    var value = snapshot.exists() ? snapshot.data() : null;
+
+    this._logEvent('read', {path: '/' + snapshot.ref.path, value: value});
+
+    if (value == null) {
+      value = this.zeroValue;
+      this.__needSetData = true;
+    }
+
+    if (!this.isNew) {
+      microTask.run(function() {
+        this.syncToMemory(function() {
+          this._log('Updating data from Firestore snapshot:', value);
+
+          // set the whole value if it is the first snapshot (or the path
+          // has changed), if there is no data yet, or if fields were added
+          // or removed
+          if (this.__needSetData || !this.data ||
+              !hasSameKeys(value, this.data)) {
+            this.__needSetData = false;
+            return this.set('data', value);
+          }
+
+          for (var field in value) {
+            if (value[field] !== this.data[field]) {
+              this.set(['data', field], value[field]);
+            }
+          }
+        });
+      }.bind(this));
+    }
+  }
+}
+
+customElements.define(FirebaseFirestoreDocument.is, FirebaseFirestoreDocument);
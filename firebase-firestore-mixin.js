@@ -0,0 +1,187 @@
+/**
+@license
+Copyright 2016 Google Inc. All Rights Reserved.
+Use of this source code is governed by a BSD-style
+license that can be found in the LICENSE file or at
+https://github.com/firebase/polymerfire/blob/master/LICENSE
+*/
+import { dedupingMixin } from '@polymer/polymer/lib/utils/mixin.js';
+import { FirebaseDataMixin } from './firebase-data-mixin.js';
+import { getServiceSdk } from './firebase-loader.js';
+
+/**
+ * Returns the Cloud Firestore SDK, once an element loaded it.
+ */
+function sdk() {
+  return getServiceSdk('firestore');
+}
+
+/**
+ * Element class mixin for the elements that synchronize `data` with Cloud
+ * Firestore.
+ *
+ * @mixinFunction
+ * @polymer
+ * @appliesMixin FirebaseDataMixin
+ */
+export const FirebaseFirestoreMixin = dedupingMixin(function(superClass) {
+  return class extends FirebaseDataMixin(superClass) {
+    static get properties() {
+      return {
+        db: {
+          type: Object,
+          computed: '__computeDb(app, _serviceLoaded)'
+        },
+
+        /**
+         * The `DocumentReference` or `CollectionReference` at `path`, depending
+         * on whether `path` has an even or an odd number of segments.
+         */
+        ref: {
+          type: Object,
+          computed: '__computeRef(db, path, disabled)',
+          observer: '__refChanged'
+        },
+
+        /**
+         * Path to a Firestore document or collection. N.B. `path` is case
+         * sensitive.
+         * @type {string|null}
+         */
+        path: {
+          type: String,
+          value: null,
+          observer: '__pathChanged'
+        },
+
+        /**
+         * When true, Firestore listeners won't be activated. This can be useful
+         * in situations where elements are loaded into the DOM before they're
+         * ready to be activated (e.g. navigation, initialization scenarios).
+         */
+        disabled: {
+          type: Boolean,
+          value: false
+        }
+      };
+    }
+
+    connectedCallback() {
+      super.connectedCallback();
+
+      this._loadService('firestore');
+    }
+
+    /**
+     * Set the value of a whole Firestore document.
+     * @return {!Promise<void>}
+     */
+    _setFirestoreValue(path, value) {
+      if (!this.db) {
+        return this._reject('no-app', 'No app configured!', 'write');
+      }
+
+      this._logEvent('write', {path: path, value: value});
+      return this.__reportWriteError(path,
+          sdk().setDoc(sdk().doc(this.db, path), this.__toFirestoreValue(value)));
+    }
+
+    /**
+     * Writes a value at a storage path, i.e. a document path optionally
+     * followed by the slash-separated path of a field within that document.
+     * @return {!Promise<void>}
+     */
+    _writeFirestoreValue(storagePath, value) {
+      var target = this.__splitStoragePath(storagePath);
+
+      if (!target.fieldPath) {
+        return this._setFirestoreValue(target.docPath, value);
+      }
+
+      if (!this.db) {
+        return this._reject('no-app', 'No app configured!', 'write');
+      }
+
+      this._logEvent('write',
+          {path: target.docPath, field: target.fieldPath, value: value});
+      return this.__reportWriteError(target.docPath,
+          sdk().updateDoc(sdk().doc(this.db, target.docPath), target.fieldPath,
+              this.__toFirestoreValue(value)));
+    }
+
+    /**
+     * Reports a failed write to the document at `docPath` through the `error`
+     * event and `lastError`. The write queue of the element would swallow it.
+     * @return {!Promise}
+     */
+    __reportWriteError(docPath, promise) {
+      return promise.catch(function(error) {
+        throw this.__onError(error, 'write', '/' + docPath);
+      }.bind(this));
+    }
+
+    __toFirestoreValue(value) {
+      if (value == null || typeof value !== 'object' || !('$id' in value)) {
+        return value;
+      }
+
+      var copy = Object.assign({}, value);
+      delete copy.$id;
+      return copy;
+    }
+
+    /**
+     * Splits a storage path into the path of the document it lies in and the
+     * dot-separated path of a field within that document. Documents are
+     * counted from `this.path`, so that nested fields are never mistaken for
+     * subcollections.
+     */
+    __splitStoragePath(storagePath) {
+      var baseLength = this.path.split('/').filter(Boolean).length;
+      var docLength = baseLength % 2 ? baseLength + 1 : baseLength;
+      var parts = storagePath.split('/').filter(Boolean);
+
+      return {
+        docPath: parts.slice(0, docLength).join('/'),
+        fieldPath: parts.slice(docLength).join('.')
+      };
+    }
+
+    __computeDb(app, serviceLoaded) {
+      return app && serviceLoaded ? sdk().getFirestore(app) : null;
+    }
+
+    __computeRef(db, path) {
+      if (db == null ||
+          path == null ||
+          !this.__pathReady(path) ||
+          this.disabled) {
+        return null;
+      }
+
+      return path.split('/').filter(Boolean).length % 2 ?
+          sdk().collection(db, path) : sdk().doc(db, path);
+    }
+
+    /**
+     * Override this method if needed.
+     * e.g. to detach or attach listeners.
+     */
+    __refChanged(ref, oldRef) {
+      return;
+    }
+
+    __pathChanged(path, oldPath) {
+      if (!this.disabled && !this.valueIsEmpty(this.data)) {
+        this.syncToMemory(function() {
+          this.data = this.zeroValue;
+          this.__needSetData = true;
+        });
+      }
+    }
+
+    __pathReady(path) {
+      return path && path.split('/').slice(1).indexOf('') < 0;
+    }
+  };
+});
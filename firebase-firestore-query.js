@@ -0,0 +1,405 @@
+/**
+@license
+Copyright 2016 Google Inc. All Rights Reserved.
+Use of this source code is governed by a BSD-style
+license that can be found in the LICENSE file or at
+https://github.com/firebase/polymerfire/blob/master/LICENSE
+*/
+import { FirebaseFirestoreMixin } from './firebase-firestore-mixin.js';
+import { getServiceSdk } from './firebase-loader.js';
+import { PolymerElement } from '@polymer/polymer/polymer-element.js';
+
+/**
+ * Returns the Cloud Firestore SDK, once the element loaded it.
+ */
+function sdk() {
+  return getServiceSdk('firestore');
+}
+
+/**
+ * `firebase-firestore-query` combines the given properties into a query
+ * against a Cloud Firestore collection, and synchronizes the documents
+ * matching that query into the `data` array.
+ *
+ * Each item of `data` holds the fields of a document, plus an extra `$id`
+ * field holding the document ID. Changes to the fields of an item are
+ * written back to the corresponding document.
+ *
+ * Example usage:
+ *
+ *     <firebase-firestore-query
+ *         path="/notes"
+ *         where="[[_notesFilter(uid)]]"
+ *         order-by="createdAt desc"
+ *         limit="20"
+ *         data="{{notes}}">
+ *     </firebase-firestore-query>
+ *
+ *     <template is="dom-repeat" items="{{notes}}" as="note">
+ *       <sticky-note note-data="{{note}}"></sticky-note>
+ *     </template>
+ *
+ * where the host element computes the filters:
+ *
+ *     _notesFilter(uid) {
+ *       return [['owner', '==', uid], ['archived', '==', false]];
+ *     }
+ *
+ * Note that `where` must be an array: a compound binding such as
+ * `where='[["owner", "==", "[[uid]]"]]'` produces a string, which is
+ * reported as an `invalid-query` error.
+ */
+export class FirebaseFirestoreQuery extends FirebaseFirestoreMixin(PolymerElement) {
+  static get is() {
+    return 'firebase-firestore-query';
+  }
+
+  static get properties() {
+    return {
+      /**
+       * [`Query`](https://firebase.google.com/docs/reference/js/firestore_.query)
+       * object computed by the following parameters.
+       */
+      query: {
+        type: Object,
+        computed: '__computeQuery(ref, where, orderBy, limit, limitToLast, startAt, startAfter, endAt, endBefore)',
+        observer: '__queryChanged'
+      },
+
+      /**
+       * The filters of the query, as an array of `[field, operator, value]`
+       * clauses, e.g. `[["age", ">=", 18], ["city", "==", "Lisbon"]]`. A single
+       * clause may also be given on its own.
+       *
+       * Changing this value generates a new `query` with the given filters.
+       */
+      where: {
+        type: Array,
+        value: null
+      },
+
+      /**
+       * A comma-separated list of the fields to order the query by, each
+       * optionally followed by `asc` or `desc`, e.g. `"city, age desc"`.
+       *
+       * Changing this value generates a new `query` ordered by the given fields.
+       */
+      orderBy: {
+        type: String,
+        value: ''
+      },
+
+      /**
+       * The maximum number of documents to include in the query, counted from
+       * the start of the ordered results.
+       */
+      limit: {
+        type: Number,
+        value: 0
+      },
+
+      /**
+       * The maximum number of documents to include in the query, counted from
+       * the end of the ordered results. Requires `orderBy`.
+       */
+      limitToLast: {
+        type: Number,
+        value: 0
+      },
+
+      /**
+       * The value (or array of values, one per `orderBy` field) the query
+       * results start at, inclusively.
+       */
+      startAt: {
+        type: Object,
+        value: null
+      },
+
+      /**
+       * The value (or array of values, one per `orderBy` field) the query
+       * results start after, exclusively.
+       */
+      startAfter: {
+        type: Object,
+        value: null
+      },
+
+      /**
+       * The value (or array of values, one per `orderBy` field) the query
+       * results end at, inclusively.
+       */
+      endAt: {
+        type: Object,
+        value: null
+      },
+
+      /**
+       * The value (or array of values, one per `orderBy` field) the query
+       * results end before, exclusively.
+       */
+      endBefore: {
+        type: Object,
+        value: null
+      }
+    };
+  }
+
+  constructor() {
+    super();
+
+    this.__map = {};
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.__queryChanged(this.query, this.query);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    if (this.query == null) {
+      return;
+    }
+
+    this.__queryChanged(null, this.query);
+  }
+
+  child(id) {
+    return this.__map[id];
+  }
+
+  get isNew() {
+    return this.disabled || !this.__pathReady(this.path);
+  }
+
+  get zeroValue() {
+    return [];
+  }
+
+  memoryPathToStoragePath(path) {
+    var storagePath = this.path;
+
+    if (path !== 'data') {
+      var parts = path.split('.');
+      var index = window.parseInt(parts[1], 10);
+
+      if (index != null && !isNaN(index)) {
+        parts[1] = this.data[index] != null && this.data[index].$id;
+      }
+
+      storagePath += parts.join('/').replace(/^data\.?/, '');
+    }
+
+    return storagePath;
+  }
+
+  storagePathToMemoryPath(storagePath) {
+    var path = 'data';
+
+    if (storagePath !== this.path) {
+      var parts = storagePath.replace(this.path + '/', '').split('/');
+      var id = parts[0];
+
+      if (this.__map[id]) {
+        parts[0] = this.__indexFromId(id);
+      }
+
+      path += '.' + parts.join('.');
+    }
+
+    return path;
+  }
+
+  setStoredValue(storagePath, value) {
+    if (storagePath === this.path || /\/\$id$/.test(storagePath)) {
+      return Promise.resolve();
+    }
+
+    return this._writeFirestoreValue(storagePath, value);
+  }
+
+  __computeQuery(ref, where, orderBy, limit, limitToLast, startAt, startAfter, endAt, endBefore) {
+    // only collections can be queried
+    if (ref == null || ref.type !== 'collection') {
+      return null;
+    }
+
+    if (where != null && !Array.isArray(where)) {
+      this.__onError(this._createError('invalid-query',
+          '`where` must be an array of clauses', 'query'));
+      return null;
+    }
+
+    var constraints = [];
+    var clauses = where && typeof where[0] === 'string' ? [where] : where;
+
+    (clauses || []).forEach(function(clause) {
+      constraints.push(sdk().where(clause[0], clause[1], clause[2]));
+    });
+
+    (orderBy || '').split(',').forEach(function(field) {
+      var parts = field.trim().split(/\s+/);
+
+      if (parts[0]) {
+        constraints.push(sdk().orderBy(parts[0], parts[1] || 'asc'));
+      }
+    });
+
+    this.__addCursor(constraints, 'startAt', startAt);
+    this.__addCursor(constraints, 'startAfter', startAfter);
+    this.__addCursor(constraints, 'endAt', endAt);
+    this.__addCursor(constraints, 'endBefore', endBefore);
+
+    if (limit) {
+      constraints.push(sdk().limit(limit));
+    } else if (limitToLast) {
+      constraints.push(sdk().limitToLast(limitToLast));
+    }
+
+    return sdk().query.apply(null, [ref].concat(constraints));
+  }
+
+  __addCursor(constraints, method, values) {
+    if (values != null) {
+      constraints.push(sdk()[method].apply(null,
+          Array.isArray(values) ? values : [values]));
+    }
+  }
+
+  __pathChanged(path, oldPath) {
+    // as in firebase-query, a non-null path change resets the data through
+    // __queryChanged
+    if (path == null) {
+      this.syncToMemory(function() {
+        this.data = this.zeroValue;
+      });
+    }
+  }
+
+  __queryChanged(query, oldQuery) {
+    if (this.__unsubscribeSnapshot) {
+      this.__unsubscribeSnapshot();
+      this.__unsubscribeSnapshot = null;
+      this._logEvent('listener-detach');
+    }
+
+    if (oldQuery) {
+      this.syncToMemory(function() {
+        this.__map = {};
+        this.set('data', this.zeroValue);
+      });
+    }
+
+    this.__hasSnapshot = false;
+
+    if (query) {
+      this._logEvent('listener-attach');
+      this.__unsubscribeSnapshot = sdk().onSnapshot(query,
+          this.__onFirestoreSnapshot.bind(this), this.__onListenError.bind(this));
+    }
+  }
+
+  __indexFromId(id) {
+    if (id != null) {
+      for (var i = 0; i < this.data.length; i++) {
+        if (this.data[i].$id === id) {
+          return i;
+        }
+      }
+    }
+    return -1;
+  }
+
+  __onFirestoreSnapshot(snapshot) {
+    this._logEvent('read', {
+      count: snapshot.size,
+      changes: this.__hasSnapshot ? snapshot.docChanges().length : snapshot.size
+    });
+
+    if (!this.__hasSnapshot) {
+      var data = snapshot.docs.map(function(doc) {
+        var value = this.__snapshotToValue(doc);
+
+        this.__map[doc.id] = value;
+        return value;
+      }, this);
+
+      this.__hasSnapshot = true;
+      this.syncToMemory(function() {
+        this.set('data', data);
+      });
+      return;
+    }
+
+    // changes are ordered, and their indexes account for the changes
+    // before them, so they can be applied one after the other
+    snapshot.docChanges().forEach(function(change) {
+      this.syncToMemory(function() {
+        switch (change.type) {
+          case 'added':
+            this.__onDocumentAdded(change);
+            break;
+          case 'removed':
+            this.__onDocumentRemoved(change);
+            break;
+          case 'modified':
+            this.__onDocumentModified(change);
+            break;
+        }
+      });
+    }, this);
+  }
+
+  __onDocumentAdded(change) {
+    var value = this.__snapshotToValue(change.doc);
+
+    this._log('Firestore document added:', change.doc.id, value);
+
+    this.__map[change.doc.id] = value;
+    this.splice('data', change.newIndex, 0, value);
+  }
+
+  __onDocumentRemoved(change) {
+    this._log('Firestore document removed:', change.doc.id);
+
+    delete this.__map[change.doc.id];
+    this.splice('data', change.oldIndex, 1);
+  }
+
+  __onDocumentModified(change) {
+    var id = change.doc.id;
+    var prev = this.__map[id];
+    var value = this.__snapshotToValue(change.doc);
+
+    this._log('Firestore document modified:', id, value);
+
+    this.__map[id] = value;
+
+    if (change.oldIndex !== change.newIndex) {
+      this.splice('data', change.oldIndex, 1);
+      this.splice('data', change.newIndex, 0, value);
+      return;
+    }
+
+    for (var field in value) {
+      this.set(['data', change.newIndex, field], value[field]);
+    }
+    for (var field in prev) {
+      if (!value.hasOwnProperty(field)) {
+        this.set(['data', change.newIndex, field], null);
+      }
+    }
+  }
+
+  __snapshotToValue(doc) {
+    var value = doc.data();
+
+    value.$id = doc.id;
+    return value;
+  }
+}
+
+customElements.define(FirebaseFirestoreQuery.is, FirebaseFirestoreQuery);
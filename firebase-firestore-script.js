@@ -0,0 +1,19 @@
+export {
+  collection,
+  deleteDoc,
+  doc,
+  endAt,
+  endBefore,
+  getDoc,
+  getFirestore,
+  limit,
+  limitToLast,
+  onSnapshot,
+  orderBy,
+  query,
+  setDoc,
+  startAfter,
+  startAt,
+  updateDoc,
+  where
+} from 'firebase/firestore';
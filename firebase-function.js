@@ -0,0 +1,193 @@
+/**
+@license
+Copyright 2016 Google Inc. All Rights Reserved.
+Use of this source code is governed by a BSD-style
+license that can be found in the LICENSE file or at
+https://github.com/firebase/polymerfire/blob/master/LICENSE
+*/
+import { FirebaseCommonMixin } from './firebase-common-mixin.js';
+import { connectEmulator } from './firebase-emulators.js';
+import { getServiceSdk } from './firebase-loader.js';
+import { PolymerElement } from '@polymer/polymer/polymer-element.js';
+
+/**
+ * Returns the Cloud Functions SDK, once the element loaded it.
+ */
+function sdk() {
+  return getServiceSdk('functions');
+}
+
+/**
+ * The firebase-function element calls an HTTPS callable Cloud Function and
+ * exposes its result to the Polymer databinding system.
+ *
+ * For example:
+ *
+ *     <firebase-function
+ *       name="addMessage"
+ *       data="[[message]]"
+ *       result="{{response}}"
+ *       loading="{{sending}}"
+ *       auto>
+ *     </firebase-function>
+ *
+ * With `auto`, the function is called whenever `name` or `data` change.
+ * Otherwise call it explicitly:
+ *
+ *     this.$.addMessage.call({text: 'Hello'}).then(function(result) {
+ *       // the function returned `result`
+ *     });
+ *
+ * Calls are made with the credentials of the user signed in to the app, and
+ * go to the Functions emulator when `<firebase-app>` has a
+ * `functions-emulator-host`.
+ */
+export class FirebaseFunction extends FirebaseCommonMixin(PolymerElement) {
+  static get is() {
+    return 'firebase-function';
+  }
+
+  static get properties() {
+    return {
+      /**
+       * The name of the callable function.
+       */
+      name: {
+        type: String,
+        value: ''
+      },
+
+      /**
+       * The region the function is deployed to.
+       */
+      region: {
+        type: String,
+        value: 'us-central1'
+      },
+
+      /**
+       * The data to call the function with, unless other data is passed
+       * to `call()`.
+       */
+      data: {
+        type: Object,
+        value: null
+      },
+
+      /**
+       * When true, the function is called whenever `name` or `data` change.
+       */
+      auto: {
+        type: Boolean,
+        value: false
+      },
+
+      /**
+       * [`Functions`](https://firebase.google.com/docs/reference/js/functions.functions)
+       * service interface for `region`.
+       */
+      functions: {
+        type: Object,
+        computed: '__computeFunctions(app, region, _serviceLoaded)'
+      },
+
+      /**
+       * The data returned by the most recent call.
+       */
+      result: {
+        type: Object,
+        value: null,
+        notify: true,
+        readOnly: true
+      },
+
+      /**
+       * True while a call is in progress.
+       */
+      loading: {
+        type: Boolean,
+        value: false,
+        notify: true,
+        readOnly: true
+      }
+    };
+  }
+
+  static get observers() {
+    return [
+      '__autoCall(functions, name, data, auto)'
+    ];
+  }
+
+  constructor() {
+    super();
+
+    this.__callCount = 0;
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this._loadService('functions');
+  }
+
+  /**
+   * Calls the function.
+   *
+   * @param {*=} data The data to call the function with. Defaults to `data`.
+   * @return {Promise} A promise that resolves with the data returned by the
+   *     function.
+   */
+  call(data) {
+    if (!this.functions) {
+      return this._reject('no-app', 'No app configured!', 'call');
+    }
+
+    if (!this.name) {
+      return this._reject('no-function-name', 'No function name given!', 'call');
+    }
+
+    var callId = ++this.__callCount;
+    var callable = sdk().httpsCallable(this.functions, this.name);
+
+    this._logEvent('call', {name: this.name, region: this.region});
+
+    this._setLoading(true);
+
+    return callable(data === undefined ? this.data : data)
+        .then(function(response) {
+          // only the latest call updates the bound state
+          if (callId === this.__callCount) {
+            this._setResult(response.data);
+            this._setLastError(null);
+            this._setLoading(false);
+          }
+
+          return response.data;
+        }.bind(this), function(error) {
+          if (callId === this.__callCount) {
+            this._setLoading(false);
+          }
+
+          throw this.__onError(error, 'call');
+        }.bind(this));
+  }
+
+  __computeFunctions(app, region, serviceLoaded) {
+    if (!app || !serviceLoaded) {
+      return null;
+    }
+
+    return connectEmulator(app, 'functions',
+        sdk().getFunctions(app, region));
+  }
+
+  __autoCall(functions, name, data, auto) {
+    if (auto && functions && name) {
+      // errors are reported through the `error` event and `lastError`
+      this.call().catch(function() {});
+    }
+  }
+}
+
+customElements.define(FirebaseFunction.is, FirebaseFunction);
@@ -0,0 +1,5 @@
+export {
+  connectFunctionsEmulator,
+  getFunctions,
+  httpsCallable
+} from 'firebase/functions';
@@ -0,0 +1,78 @@
+/**
+@license
+Copyright 2016 Google Inc. All Rights Reserved.
+Use of this source code is governed by a BSD-style
+license that can be found in the LICENSE file or at
+https://github.com/firebase/polymerfire/blob/master/LICENSE
+*/
+
+/**
+ * Loaders of the Firebase service SDKs, keyed by service name. Each script
+ * re-exports the functions of the modular SDK that the elements use, so
+ * that bundlers can drop the rest.
+ */
+var serviceScripts = {
+  auth: function() {
+    return import('./firebase-auth-script.js');
+  },
+  database: function() {
+    return import('./firebase-database-script.js');
+  },
+  firestore: function() {
+    return import('./firebase-firestore-script.js');
+  },
+  functions: function() {
+    return import('./firebase-functions-script.js');
+  },
+  messaging: function() {
+    return import('./firebase-messaging-script.js');
+  },
+  remoteConfig: function() {
+    return import('./firebase-remote-config-script.js');
+  },
+  storage: function() {
+    return import('./firebase-storage-script.js');
+  }
+};
+
+var loadedServices = {};
+
+/**
+ * The SDKs that finished loading, keyed by service name.
+ */
+var serviceSdks = {};
+
+/**
+ * Loads the SDK of a Firebase service on demand. Each SDK is only loaded
+ * once, no matter how many elements ask for it.
+ *
+ * @param {string} service The service name, e.g. `database`.
+ * @return {!Promise<!Object>} A promise that resolves with the SDK once it
+ *     is loaded.
+ */
+export function loadService(service) {
+  if (!serviceScripts[service]) {
+    return Promise.reject(
+        new Error('Unknown Firebase service "' + service + '"'));
+  }
+
+  if (!loadedServices[service]) {
+    loadedServices[service] = serviceScripts[service]().then(function(sdk) {
+      serviceSdks[service] = sdk;
+      return sdk;
+    });
+  }
+
+  return loadedServices[service];
+}
+
+/**
+ * Returns the SDK of a Firebase service if it is loaded, e.g. to compute
+ * properties synchronously once `loadService()` resolved.
+ *
+ * @param {string} service The service name, e.g. `database`.
+ * @return {?Object} The functions of the SDK, or null if it isn't loaded.
+ */
+export function getServiceSdk(service) {
+  return serviceSdks[service] || null;
+}
@@ -0,0 +1,95 @@
+/**
+@license
+Copyright 2016 Google Inc. All Rights Reserved.
+Use of this source code is governed by a BSD-style
+license that can be found in the LICENSE file or at
+https://github.com/firebase/polymerfire/blob/master/LICENSE
+*/
+
+/**
+ * Log levels, from the most to the least verbose.
+ */
+var LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+var loggerConfig = {
+  logger: null,
+  level: 'info',
+  apps: null
+};
+
+/**
+ * A logger that writes events to the console.
+ */
+export const consoleLogger = {
+  log: function(event) {
+    var method = event.level === 'debug' ? 'log' : event.level;
+    console[method]('[polymerfire]', event.type, event.app,
+        event.path == null ? '' : event.path, event.detail);
+  }
+};
+
+/**
+ * Configures the logger that every Polymerfire element reports structured
+ * events to. Nothing is logged until a logger is configured:
+ *
+ *     configureLogger({
+ *       logger: {log: function(event) { sendToMonitoring(event); }},
+ *       level: 'debug',
+ *       apps: ['admin']
+ *     });
+ *
+ * Each event has a `level`, a `type` (e.g. `listener-attach`,
+ * `listener-detach`, `read`, `write`, `upload-progress`, `auth-state`,
+ * `app-initialized`, `token`, `message`, `error`, or `log` for the debug
+ * messages of elements), the name of its `app`, the `element` that reported
+ * it, the `path` it concerns, a `detail` object and a `timestamp`.
+ *
+ * @param {{
+ *   logger: (?{log: function(!Object)}|function(!Object)|undefined),
+ *   level: (string|undefined),
+ *   apps: (?Array<string>|function(string):boolean|undefined)
+ * }} options `logger` receives the events, either as a function or through
+ *     its `log` method. `level` is the least severe level that is logged.
+ *     `apps` restricts logging to some apps, by name or with a predicate.
+ */
+export function configureLogger(options) {
+  if (options.level && LEVELS.indexOf(options.level) < 0) {
+    throw new Error('Unknown log level "' + options.level + '"');
+  }
+
+  Object.keys(options).forEach(function(key) {
+    if (options[key] !== undefined) {
+      loggerConfig[key] = options[key];
+    }
+  });
+}
+
+/**
+ * Reports an event to the configured logger, if it passes the level and app
+ * filters. The events of an element whose `log` property is true are always
+ * reported, to the console if no logger is configured.
+ *
+ * @param {!Object} event See `configureLogger()`.
+ */
+export function logEvent(event) {
+  var logger = loggerConfig.logger;
+  var apps = loggerConfig.apps;
+
+  if (event.element && event.element.log) {
+    logger = logger || consoleLogger;
+  } else if (!logger ||
+      LEVELS.indexOf(event.level) < LEVELS.indexOf(loggerConfig.level)) {
+    return;
+  } else if (apps && (typeof apps === 'function' ?
+      !apps(event.app) : apps.indexOf(event.app) < 0)) {
+    return;
+  }
+
+  event.timestamp = Date.now();
+
+  if (typeof logger === 'function') {
+    logger(event);
+  } else {
+    logger.log(event);
+  }
+}
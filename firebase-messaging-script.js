@@ -1 +1,5 @@
-import 'firebase/firebase-messaging.js';
+export {
+  getMessaging,
+  getToken,
+  onMessage
+} from 'firebase/messaging';
@@ -63,13 +63,18 @@ call `.activate()` on the element once you've
   from HTML and may be out of place here. Review them and
   then delete this comment!
 */
-import '@polymer/polymer/polymer-legacy.js';
-
-import { FirebaseCommonBehavior } from './firebase-common-behavior.js';
-import './firebase-messaging-script.js';
-import { Polymer } from '@polymer/polymer/lib/legacy/polymer-fn.js';
+import { FirebaseCommonMixin } from './firebase-common-mixin.js';
+import { getServiceSdk } from './firebase-loader.js';
+import { PolymerElement } from '@polymer/polymer/polymer-element.js';
 var stateMap = {};
 
+/**
+ * Returns the Cloud Messaging SDK, once the element loaded it.
+ */
+function sdk() {
+  return getServiceSdk('messaging');
+}
+
 /**
  *
  * @param {Object} app
@@ -85,146 +90,186 @@ function applyAll(app, method, var_args) {
 
 function refreshToken(app) {
   var state = stateMap[app.name];
+  var options = state.serviceWorkerRegistration ?
+      {serviceWorkerRegistration: state.serviceWorkerRegistration} : undefined;
 
-  app.messaging().getToken().then(function(token) {
+  sdk().getToken(state.messaging, options).then(function(token) {
+    applyAll(app, '_logEvent', 'token', {path: null, hasToken: !!token}, 'info');
     applyAll(app, '_setToken', token);
     applyAll(app, '_setStatusKnown', true);
     return token;
   }, function(err) {
     applyAll(app, '_setToken', null);
     applyAll(app, '_setStatusKnown', true);
-    applyAll(app, 'fire', 'error', err);
+    applyAll(app, '__onError', err, 'getToken');
     throw err;
   });
 }
 
-function activateMessaging(el, app) {
+function activateMessaging(el, app, swreg) {
   var name = app.name;
 
-  stateMap[name] = stateMap[name] || {messaging: app.messaging()};
+  stateMap[name] = stateMap[name] || {messaging: sdk().getMessaging(app)};
   var state = stateMap[name];
 
+  if (swreg) {
+    state.serviceWorkerRegistration = swreg;
+  }
+
   state.instances = state.instances || [];
   if (state.instances.indexOf(el) < 0) {
     state.instances.push(el);
   }
 
   if (!state.listener) {
-    state.listener = app.messaging().onMessage(function(message) {
+    // the SDK refreshes the token itself, getToken() returns the latest one
+    state.listener = sdk().onMessage(state.messaging, function(message) {
       state.instances.forEach(function(el) {
+        el._logEvent('message', {path: null, message: message});
         el._setLastMessage(message);
-        el.fire('message', {message: message});
+        el._fire('message', {message: message});
       });
     });
+    el._logEvent('listener-attach', {path: null, event: 'message'});
   }
 
-  if (!state.tokenListener) {
-    state.tokenListener = app.messaging().onTokenRefresh(function() {
-      refreshToken(app);
-    });
+  return refreshToken(app);
+}
+
+function deactivateMessaging(el, name) {
+  var state = stateMap[name];
+
+  if (!state || !state.instances) {
+    return;
   }
 
-  return refreshToken(app);
+  var index = state.instances.indexOf(el);
+  if (index >= 0) {
+    state.instances.splice(index, 1);
+  }
+
+  if (!state.instances.length) {
+    if (state.listener) {
+      state.listener();
+    }
+    el._logEvent('listener-detach', {path: null, event: 'message'});
+    delete stateMap[name];
+  }
 }
 
-Polymer({
-  is: 'firebase-messaging',
-
-  behaviors: [
-    FirebaseCommonBehavior,
-  ],
-
-  properties: {
-    /**
-     * The current registration token for this session. Save this
-     * somewhere server-accessible so that you can target push messages
-     * to this device.
-     * @type {string|null}
-     */
-    token: {
-      type: String,
-      value: null,
-      notify: true,
-      readOnly: true,
-    },
-    /**
-     * True when Firebase Cloud Messaging is successfully
-     * registered and actively listening for messages.
-     */
-    active: {
-      type: Boolean,
-      notify: true,
-      computed: '_computeActive(statusKnown, token)',
-    },
-    /**
-     * True after an attempt has been made to fetch a push
-     * registration token, regardless of whether one was available.
-     */
-    statusKnown: {
-      type: Boolean,
-      value: false,
-      notify: true,
-      readOnly: true,
-    },
-    /**
-     * The most recent push message received. Generally in the format:
-     *
-     *     {
-     *       "from": "<sender_id>",
-     *       "category": "",
-     *       "collapse_key": "do_not_collapse",
-     *       "data": {
-     *         "...": "..."
-     *       },
-     *       "notification": {
-     *         "...": "..."
-     *       }
-     *     }
-     */
-    lastMessage: {
-      type: Object,
-      value: null,
-      notify: true,
-      readOnly: true,
-    },
-    /**
-     * When true, Firebase Messaging will not initialize until `activate()`
-     * is called explicitly. This allows for custom service worker registration.
-     */
-    customSw: {
-      type: Boolean,
-      value: false
-    },
-    /**
-     * True if the Push API is supported in the user's browser.
-     */
-    pushSupported: {
-      type: Boolean,
-      value: function() {
-        return ('serviceWorker' in navigator && 'PushManager' in window);
+export class FirebaseMessaging extends FirebaseCommonMixin(PolymerElement) {
+  static get is() {
+    return 'firebase-messaging';
+  }
+
+  static get properties() {
+    return {
+      /**
+       * The current registration token for this session. Save this
+       * somewhere server-accessible so that you can target push messages
+       * to this device.
+       * @type {string|null}
+       */
+      token: {
+        type: String,
+        value: null,
+        notify: true,
+        readOnly: true,
       },
-      notify: true,
-      readOnly: true
-    }
-  },
+      /**
+       * True when Firebase Cloud Messaging is successfully
+       * registered and actively listening for messages.
+       */
+      active: {
+        type: Boolean,
+        notify: true,
+        computed: '_computeActive(statusKnown, token)',
+      },
+      /**
+       * True after an attempt has been made to fetch a push
+       * registration token, regardless of whether one was available.
+       */
+      statusKnown: {
+        type: Boolean,
+        value: false,
+        notify: true,
+        readOnly: true,
+      },
+      /**
+       * The most recent push message received. Generally in the format:
+       *
+       *     {
+       *       "from": "<sender_id>",
+       *       "category": "",
+       *       "collapse_key": "do_not_collapse",
+       *       "data": {
+       *         "...": "..."
+       *       },
+       *       "notification": {
+       *         "...": "..."
+       *       }
+       *     }
+       */
+      lastMessage: {
+        type: Object,
+        value: null,
+        notify: true,
+        readOnly: true,
+      },
+      /**
+       * When true, Firebase Messaging will not initialize until `activate()`
+       * is called explicitly. This allows for custom service worker registration.
+       */
+      customSw: {
+        type: Boolean,
+        value: false
+      },
+      /**
+       * True if the Push API is supported in the user's browser.
+       */
+      pushSupported: {
+        type: Boolean,
+        value: function() {
+          return ('serviceWorker' in navigator && 'PushManager' in window);
+        },
+        notify: true,
+        readOnly: true
+      }
+    };
+  }
 
-  observers: [
-    '_bootstrapApp(app, customSw)'
-  ],
+  static get observers() {
+    return [
+      '_bootstrapApp(app, customSw, _serviceLoaded)'
+    ];
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this._loadService('messaging');
+  }
 
   /**
    * Requests Notifications permission and returns a `Promise` that
    * resolves if it is granted. Resolves immediately if already granted.
    */
-  requestPermission: function() {
+  requestPermission() {
     if (!this.messaging) {
-      throw new Error('firebase-messaging: No app configured!');
+      throw this.__onError(this._createError('no-app',
+          'firebase-messaging: No app configured!', 'requestPermission'));
     }
 
-    return this.messaging.requestPermission().then(function() {
+    return window.Notification.requestPermission().then(function(permission) {
+      if (permission !== 'granted') {
+        throw this.__onError(this._createError('permission-blocked',
+            'firebase-messaging: Notifications permission was not granted.',
+            'requestPermission'));
+      }
+
       return refreshToken(this.app);
     }.bind(this));
-  },
+  }
 
   /**
    * When the `custom-sw` is added to `firebase-messaging`, this method
@@ -233,16 +278,18 @@ Polymer({
    *
    * @param {ServiceWorkerRegistration=}  swreg the custom service worker registration with which to activate
    */
-  activate: function(swreg) {
+  activate(swreg) {
     this.statusKnown = false;
     this.active = false;
     this.token = null;
-    if (this.app) {
-      this.messaging = this.app.messaging();
-      if (swreg) {
-        this.messaging.useServiceWorker(swreg);
-      }
-      activateMessaging(this, this.app);
+    if (this.__messagingAppName) {
+      deactivateMessaging(this, this.__messagingAppName);
+      this.__messagingAppName = null;
+    }
+    if (this.app && this._serviceLoaded) {
+      this.messaging = sdk().getMessaging(this.app);
+      this.__messagingAppName = this.app.name;
+      activateMessaging(this, this.app, swreg);
     } else {
       this.messaging = null;
       this.statusKnown = false;
@@ -250,15 +297,22 @@ Polymer({
       this.token = null;
       return;
     }
-  },
+  }
 
-  _computeActive: function(statusKnown, token) {
+  _computeActive(statusKnown, token) {
     return !!(statusKnown && token);
-  },
+  }
 
-  _bootstrapApp: function(app, customSw) {
-    if (app && !customSw) {
+  _bootstrapApp(app, customSw, serviceLoaded) {
+    if (app && serviceLoaded && !customSw) {
       this.activate();
+    } else if (!app && this.__messagingAppName) {
+      // the app was deleted; stop listening on its messaging service
+      deactivateMessaging(this, this.__messagingAppName);
+      this.__messagingAppName = null;
+      this.messaging = null;
     }
-  },
-});
+  }
+}
+
+customElements.define(FirebaseMessaging.is, FirebaseMessaging);
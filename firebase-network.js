@@ -0,0 +1,97 @@
+/**
+@license
+Copyright 2016 Google Inc. All Rights Reserved.
+Use of this source code is governed by a BSD-style
+license that can be found in the LICENSE file or at
+https://github.com/firebase/polymerfire/blob/master/LICENSE
+*/
+import { getServiceSdk } from './firebase-loader.js';
+
+/**
+ * Network state keyed by database instance. Every element of an app shares
+ * the same database instance, so they all share one state: the browser's
+ * network status, and an optional override that takes precedence over it.
+ */
+var networkStates = new WeakMap();
+
+function stateFor(db) {
+  var state = networkStates.get(db);
+
+  if (!state) {
+    state = {browserOnline: true, forced: null, owner: null, online: true};
+    networkStates.set(db, state);
+  }
+
+  return state;
+}
+
+/**
+ * Connects or disconnects `db` if its effective network state changed.
+ * Repeated calls with the same state don't touch the database.
+ */
+function applyNetworkState(db, state) {
+  var online = state.forced == null ? state.browserOnline : state.forced;
+
+  if (online === state.online) {
+    return;
+  }
+
+  state.online = online;
+
+  var sdk = getServiceSdk('database');
+
+  if (online) {
+    sdk.goOnline(db);
+  } else {
+    sdk.goOffline(db);
+  }
+}
+
+/**
+ * Records the browser's network status for `db`. It's ignored while the
+ * network of `db` is forced with `forceNetwork()`.
+ *
+ * @param {!Database} db
+ * @param {boolean} online
+ */
+export function setBrowserOnline(db, online) {
+  var state = stateFor(db);
+
+  state.browserOnline = !!online;
+  applyNetworkState(db, state);
+}
+
+/**
+ * Forces `db` online or offline regardless of the browser's network status.
+ * The most recent call wins.
+ *
+ * @param {!Database} db
+ * @param {boolean} online
+ * @param {*} owner The object forcing the network, needed to release it.
+ */
+export function forceNetwork(db, online, owner) {
+  var state = stateFor(db);
+
+  state.forced = !!online;
+  state.owner = owner;
+  applyNetworkState(db, state);
+}
+
+/**
+ * Stops forcing the network of `db` if `owner` forced it last, so that it
+ * follows the browser's network status again.
+ *
+ * @param {!Database} db
+ * @param {*} owner
+ */
+export function releaseNetwork(db, owner) {
+  var state = stateFor(db);
+
+  if (state.owner !== owner) {
+    return;
+  }
+
+  state.forced = null;
+  state.owner = null;
+  applyNetworkState(db, state);
+}
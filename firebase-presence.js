@@ -0,0 +1,319 @@
+/**
+@license
+Copyright 2016 Google Inc. All Rights Reserved.
+Use of this source code is governed by a BSD-style
+license that can be found in the LICENSE file or at
+https://github.com/firebase/polymerfire/blob/master/LICENSE
+*/
+import { FirebaseCommonMixin } from './firebase-common-mixin.js';
+import { connectEmulator } from './firebase-emulators.js';
+import { getServiceSdk } from './firebase-loader.js';
+import { PolymerElement } from '@polymer/polymer/polymer-element.js';
+
+/**
+ * Returns the Realtime Database SDK, once the element loaded it.
+ */
+function sdk() {
+  return getServiceSdk('database');
+}
+
+/**
+ * The firebase-presence element tracks which users are online, using the
+ * Realtime Database of an app.
+ *
+ * For example:
+ *
+ *     <firebase-auth user="{{user}}"></firebase-auth>
+ *     <firebase-presence
+ *       user="[[user]]"
+ *       path="/rooms/[[roomId]]/presence"
+ *       status="[[status]]"
+ *       users="{{onlineUsers}}">
+ *     </firebase-presence>
+ *
+ * While `user` is signed in and the client is connected, the element keeps
+ * a record for this connection at `path/<uid>/connections/<key>`, so a user
+ * with several tabs or devices has several records:
+ *
+ *     {online: true, lastSeen: <server time>, ...status}
+ *
+ * The server removes the record when the client disconnects, and sets
+ * `path/<uid>/lastSeen` to the time of the disconnection. The record is
+ * registered again whenever the client reconnects.
+ *
+ * `users` lists the users that have at least one connection at `path`,
+ * whether or not `user` is signed in:
+ *
+ *     [{uid: 'alice', connections: 2, lastSeen: 1514764800000, status: {...}}]
+ */
+export class FirebasePresence extends FirebaseCommonMixin(PolymerElement) {
+  static get is() {
+    return 'firebase-presence';
+  }
+
+  static get properties() {
+    return {
+      /**
+       * The [`Database`](https://firebase.google.com/docs/reference/js/database.database)
+       * instance of the app.
+       */
+      db: {
+        type: Object,
+        computed: '__computeDb(app, _serviceLoaded)'
+      },
+
+      /**
+       * The signed in user, usually bound to the `user` of a
+       * `firebase-auth` element.
+       */
+      user: {
+        type: Object,
+        value: null
+      },
+
+      /**
+       * The location of the presence records.
+       */
+      path: {
+        type: String,
+        value: '/presence'
+      },
+
+      /**
+       * Custom fields added to the record of this connection, e.g.
+       * `{state: 'away'}`.
+       */
+      status: {
+        type: Object,
+        value: null
+      },
+
+      /**
+       * The users that are online at `path`.
+       */
+      users: {
+        type: Array,
+        value: function() {
+          return [];
+        },
+        notify: true,
+        readOnly: true
+      },
+
+      /**
+       * True while the record of this connection is registered.
+       */
+      present: {
+        type: Boolean,
+        value: false,
+        notify: true,
+        readOnly: true,
+        reflectToAttribute: true
+      },
+
+      /**
+       * The key of the record of this connection.
+       */
+      connectionKey: {
+        type: String,
+        value: null,
+        notify: true,
+        readOnly: true
+      }
+    };
+  }
+
+  static get observers() {
+    return [
+      '__presenceChanged(db, user, path)',
+      '__statusChanged(status)',
+      '__usersRefChanged(db, path)'
+    ];
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this._loadService('database');
+    this.__presenceChanged(this.db, this.user, this.path);
+    this.__usersRefChanged(this.db, this.path);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.__leave();
+    this.__unlistenUsers();
+  }
+
+  __computeDb(app, serviceLoaded) {
+    return app && serviceLoaded ?
+        connectEmulator(app, 'database', sdk().getDatabase(app)) : null;
+  }
+
+  __presenceChanged(db, user, path) {
+    var userRef = db && user && path && this.isConnected ?
+        sdk().ref(db, path + '/' + user.uid) : null;
+
+    if (userRef && this.__userRef && userRef.isEqual(this.__userRef)) {
+      return;
+    }
+
+    this.__leave();
+
+    if (!userRef) {
+      return;
+    }
+
+    this.__userRef = userRef;
+    this.__connectionRef = sdk().push(sdk().child(userRef, 'connections'));
+    this._setConnectionKey(this.__connectionRef.key);
+
+    this.__unsubscribeConnected = sdk().onValue(
+        sdk().ref(db, '.info/connected'),
+        this.__onConnectedValue.bind(this), this.__onListenError.bind(this));
+  }
+
+  __onConnectedValue(snapshot) {
+    if (!snapshot.val()) {
+      this._setPresent(false);
+      return;
+    }
+
+    var connectionRef = this.__connectionRef;
+    var lastSeenRef = sdk().child(this.__userRef, 'lastSeen');
+
+    this._logEvent('presence', {path: this.path, connection: connectionRef.key},
+        'info');
+
+    // register the cleanup first, so that a disconnection right after the
+    // record is written doesn't leave it behind
+    Promise.all([
+      sdk().onDisconnect(connectionRef).remove(),
+      sdk().onDisconnect(lastSeenRef).set(sdk().serverTimestamp())
+    ]).then(function() {
+      return sdk().set(connectionRef, this.__record());
+    }.bind(this)).then(function() {
+      if (this.__connectionRef === connectionRef) {
+        this._setPresent(true);
+      }
+    }.bind(this)).catch(function(error) {
+      this.__onError(error, 'presence', this._pathOf(connectionRef));
+    }.bind(this));
+  }
+
+  __statusChanged(status) {
+    if (this.present) {
+      var connectionRef = this.__connectionRef;
+
+      sdk().set(connectionRef, this.__record()).catch(function(error) {
+        this.__onError(error, 'presence', this._pathOf(connectionRef));
+      }.bind(this));
+    }
+  }
+
+  __record() {
+    return Object.assign({}, this.status, {
+      online: true,
+      lastSeen: sdk().serverTimestamp()
+    });
+  }
+
+  /**
+   * Removes the record of this connection, e.g. when the user signs out.
+   */
+  __leave() {
+    if (!this.__userRef) {
+      return;
+    }
+
+    var connectionRef = this.__connectionRef;
+    var lastSeenRef = sdk().child(this.__userRef, 'lastSeen');
+
+    this.__unsubscribeConnected();
+    this.__unsubscribeConnected = null;
+    this.__connectionRef = null;
+    this.__userRef = null;
+    this._setPresent(false);
+    this._setConnectionKey(null);
+
+    // the cleanup handlers stay armed until the record is gone, so that the
+    // server still removes it on disconnection if this fails
+    Promise.all([
+      sdk().remove(connectionRef),
+      sdk().set(lastSeenRef, sdk().serverTimestamp())
+    ]).then(function() {
+      return Promise.all([
+        sdk().onDisconnect(connectionRef).cancel(),
+        sdk().onDisconnect(lastSeenRef).cancel()
+      ]);
+    }).catch(function(error) {
+      this.__onError(error, 'presence', this._pathOf(connectionRef));
+    }.bind(this));
+  }
+
+  __usersRefChanged(db, path) {
+    var usersRef = db && path && this.isConnected ?
+        sdk().ref(db, path) : null;
+
+    if (usersRef && this.__usersRef && usersRef.isEqual(this.__usersRef)) {
+      return;
+    }
+
+    this.__unlistenUsers();
+
+    if (usersRef) {
+      this.__usersRef = usersRef;
+      this.__unsubscribeUsers = sdk().onValue(usersRef,
+          this.__onUsersValue.bind(this), this.__onListenError.bind(this));
+      this._logEvent('listener-attach', {path: path, event: 'value'});
+    }
+  }
+
+  __unlistenUsers() {
+    if (this.__usersRef) {
+      this.__unsubscribeUsers();
+      this.__unsubscribeUsers = null;
+      this._logEvent('listener-detach', {path: this._pathOf(this.__usersRef)});
+      this.__usersRef = null;
+    }
+
+    this._setUsers([]);
+  }
+
+  __onUsersValue(snapshot) {
+    var users = [];
+
+    snapshot.forEach(function(userSnapshot) {
+      var connections = userSnapshot.child('connections').val() || {};
+      var keys = Object.keys(connections);
+      var lastSeen = userSnapshot.child('lastSeen').val() || 0;
+      var status = null;
+
+      keys.forEach(function(key) {
+        var connection = connections[key] || {};
+
+        if (connection.lastSeen >= lastSeen) {
+          lastSeen = connection.lastSeen;
+          status = Object.assign({}, connection);
+          delete status.online;
+          delete status.lastSeen;
+        }
+      });
+
+      if (keys.length) {
+        users.push({
+          uid: userSnapshot.key,
+          connections: keys.length,
+          lastSeen: lastSeen,
+          status: status
+        });
+      }
+    });
+
+    this._logEvent('read', {path: this.path, event: 'value', count: users.length});
+    this._setUsers(users);
+  }
+}
+
+customElements.define(FirebasePresence.is, FirebasePresence);
@@ -15,6 +15,10 @@ of those objects with an extra `$key` field added to represent the key. If the
 child nodes are non-object leaf values, `data` will be an array of objects of
 the structure `{$key: key, $val: val}`.
 
+Server values can be written by setting a field of an item to
+`{$serverTimestamp: true}` or `{$increment: n}`. The field is replaced by the
+resolved value once the server answers.
+
 Example usage:
 ```html
 <firebase-query
@@ -50,136 +54,156 @@ Polymer({
   from HTML and may be out of place here. Review them and
   then delete this comment!
 */
-import '@polymer/polymer/polymer-legacy.js';
+import { FirebaseDatabaseMixin } from './firebase-database-mixin.js';
+import { getServiceSdk } from './firebase-loader.js';
+import { PolymerElement } from '@polymer/polymer/polymer-element.js';
+import { microTask } from '@polymer/polymer/lib/utils/async.js';
 
-import { FirebaseDatabaseBehavior } from './firebase-database-behavior.js';
-import { Polymer } from '@polymer/polymer/lib/legacy/polymer-fn.js';
+/**
+ * Returns the Realtime Database SDK, once the element loaded it.
+ */
+function sdk() {
+  return getServiceSdk('database');
+}
+
+export class FirebaseQuery extends FirebaseDatabaseMixin(PolymerElement) {
+  static get is() {
+    return 'firebase-query';
+  }
 
-Polymer({
-  is: 'firebase-query',
+  static get properties() {
+    return {
+      /**
+       * [`Query`](https://firebase.google.com/docs/reference/js/database.query)
+       * object computed by the following parameters.
+       */
+      query: {
+        type: Object,
+        computed: '__computeQuery(ref, orderByChild, orderByValue, limitToFirst, limitToLast, startAt, endAt, equalTo)',
+        observer: '__queryChanged'
+      },
+
+      /**
+       * The child key of each query result to order the query by.
+       *
+       * Changing this value generates a new `query` ordered by the
+       * specified child key.
+       */
+      orderByChild: {
+        type: String,
+        value: ''
+      },
+
+      /**
+       * Order this query by values. This is only applicable to leaf node queries
+       * against data structures such as `{a: 1, b: 2, c: 3}`.
+       */
+      orderByValue: {
+        type: Boolean,
+        value: false
+      },
+
+      /**
+       * The value to start at in the query.
+       *
+       * Changing this value generates a new `query` with the specified
+       * starting point. The generated `query` includes children which match
+       * the specified starting point.
+       */
+      startAt: {
+        type: String,
+        value: ''
+      },
+
+      /**
+       * The value to end at in the query.
+       *
+       * Changing this value generates a new `query` with the specified
+       * ending point. The generated `query` includes children which match
+       * the specified ending point.
+       */
+      endAt: {
+        type: String,
+        value: ''
+      },
+
+      /**
+       * Specifies a child-key value that must be matched for each candidate result.
+       *
+       * Changing this value generates a new `query` which includes children
+       * which match the specified value.
+       */
+      equalTo: {
+        type: Object,
+        value: null
+      },
+
+      /**
+       * The maximum number of nodes to include in the query.
+       *
+       * Changing this value generates a new `query` limited to the first
+       * number of children.
+       */
+      limitToFirst: {
+        type: Number,
+        value: 0
+      },
+
+      /**
+       * The maximum number of nodes to include in the query.
+       *
+       * Changing this value generates a new `query` limited to the last
+       * number of children.
+       */
+      limitToLast: {
+        type: Number,
+        value: 0
+      }
+    };
+  }
 
-  behaviors: [
-    FirebaseDatabaseBehavior
-  ],
+  static get observers() {
+    return [
+      '__liveChanged(_live)'
+    ];
+  }
 
-  properties: {
-    /**
-     * [`firebase.database.Query`](https://firebase.google.com/docs/reference/js/firebase.database.Query#property)
-     * object computed by the following parameters.
-     */
-    query: {
-      type: Object,
-      computed: '__computeQuery(ref, orderByChild, orderByValue, limitToFirst, limitToLast, startAt, endAt, equalTo)',
-      observer: '__queryChanged'
-    },
-
-    /**
-     * The child key of each query result to order the query by.
-     *
-     * Changing this value generates a new `query` ordered by the
-     * specified child key.
-     */
-    orderByChild: {
-      type: String,
-      value: ''
-    },
-
-    /**
-     * Order this query by values. This is only applicable to leaf node queries
-     * against data structures such as `{a: 1, b: 2, c: 3}`.
-     */
-    orderByValue: {
-      type: Boolean,
-      value: false
-    },
-
-    /**
-     * The value to start at in the query.
-     *
-     * Changing this value generates a new `query` with the specified
-     * starting point. The generated `query` includes children which match
-     * the specified starting point.
-     */
-    startAt: {
-      type: String,
-      value: ''
-    },
-
-    /**
-     * The value to end at in the query.
-     *
-     * Changing this value generates a new `query` with the specified
-     * ending point. The generated `query` includes children which match
-     * the specified ending point.
-     */
-    endAt: {
-      type: String,
-      value: ''
-    },
-
-    /**
-     * Specifies a child-key value that must be matched for each candidate result.
-     *
-     * Changing this value generates a new `query` which includes children
-     * which match the specified value.
-     */
-    equalTo: {
-      type: Object,
-      value: null
-    },
-
-    /**
-     * The maximum number of nodes to include in the query.
-     *
-     * Changing this value generates a new `query` limited to the first
-     * number of children.
-     */
-    limitToFirst: {
-      type: Number,
-      value: 0
-    },
-
-    /**
-     * The maximum number of nodes to include in the query.
-     *
-     * Changing this value generates a new `query` limited to the last
-     * number of children.
-     */
-    limitToLast: {
-      type: Number,
-      value: 0
-    }
-  },
+  constructor() {
+    super();
 
-  created: function() {
     this.__map = {};
-  },
+    this.__unsubscribers = [];
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
 
-  attached: function() {
     this.__queryChanged(this.query, this.query);
-  },
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
 
-  detached: function() {
     if (this.query == null) {
       return;
     }
 
     this.__queryChanged(null, this.query);
-  },
+  }
 
-  child: function(key) {
+  child(key) {
     return this.__map[key];
-  },
+  }
 
   get isNew() {
     return this.disabled || !this.__pathReady(this.path);
-  },
+  }
 
   get zeroValue() {
     return [];
-  },
+  }
 
-  memoryPathToStoragePath: function(path) {
+  memoryPathToStoragePath(path) {
     var storagePath = this.path;
 
     if (path !== 'data') {
@@ -194,9 +218,9 @@ Polymer({
     }
 
     return storagePath;
-  },
+  }
 
-  storagePathToMemoryPath: function(storagePath) {
+  storagePathToMemoryPath(storagePath) {
     var path = 'data';
 
     if (storagePath !== this.path) {
@@ -212,9 +236,9 @@ Polymer({
     }
 
     return path;
-  },
+  }
 
-  setStoredValue: function(storagePath, value) {
+  setStoredValue(storagePath, value) {
     if (storagePath === this.path || /\$key$/.test(storagePath)) {
       return Promise.resolve();
     } else if (/\/\$val$/.test(storagePath)) {
@@ -222,52 +246,93 @@ Polymer({
     } else {
       return this._setFirebaseValue(storagePath, value);
     }
-  },
+  }
+
+  _schemaPathOf(storagePath) {
+    // `schema` describes the items of the query
+    if (storagePath.indexOf(this.path + '/') !== 0) {
+      return null;
+    }
+
+    return storagePath.slice(this.path.length + 1).split('/').slice(1);
+  }
+
+  _rollback(storagePath) {
+    var key = storagePath.slice(this.path.length + 1).split('/')[0];
+
+    if (storagePath.indexOf(this.path + '/') !== 0 || !key) {
+      return Promise.resolve();
+    }
+
+    var ref = sdk().ref(this.db, this.path + '/' + key);
+
+    return sdk().get(ref).then(function(snapshot) {
+      var index = this.__indexFromKey(key);
+
+      if (index < 0) {
+        return;
+      }
+
+      this.syncToMemory(function() {
+        if (snapshot.exists()) {
+          var value = this.__valueWithKey(key, snapshot.val());
+
+          this.__map[key] = value;
+          this.splice('data', index, 1, value);
+        } else {
+          this.__map[key] = null;
+          this.splice('data', index, 1);
+        }
+      });
+    }.bind(this), function(error) {
+      this.__onError(error, 'read', storagePath);
+    }.bind(this));
+  }
 
-  _propertyToKey: function(property) {
+  _propertyToKey(property) {
     var index = window.parseInt(property, 10);
     if (index != null && !isNaN(index)) {
       return this.data[index].$key;
     }
-  },
+  }
 
-  __computeQuery: function(ref, orderByChild, orderByValue, limitToFirst, limitToLast, startAt, endAt, equalTo) {
+  __computeQuery(ref, orderByChild, orderByValue, limitToFirst, limitToLast, startAt, endAt, equalTo) {
     if (ref == null) {
       return null;
     }
 
-    var query;
+    var constraints = [];
 
     if (orderByChild) {
-      query = ref.orderByChild(orderByChild);
+      constraints.push(sdk().orderByChild(orderByChild));
     } else if (orderByValue) {
-      query = ref.orderByValue();
+      constraints.push(sdk().orderByValue());
     } else {
-      query = ref.orderByKey();
+      constraints.push(sdk().orderByKey());
     }
 
     if (limitToFirst) {
-      query = query.limitToFirst(limitToFirst);
+      constraints.push(sdk().limitToFirst(limitToFirst));
     } else if (limitToLast) {
-      query = query.limitToLast(limitToLast);
+      constraints.push(sdk().limitToLast(limitToLast));
     }
 
     if (startAt) {
-      query = query.startAt(startAt);
+      constraints.push(sdk().startAt(startAt));
     }
 
     if (endAt) {
-      query = query.endAt(endAt);
+      constraints.push(sdk().endAt(endAt));
     }
 
     if (equalTo !== null) {
-      query = query.equalTo(equalTo);
+      constraints.push(sdk().equalTo(equalTo));
     }
 
-    return query;
-  },
+    return sdk().query.apply(null, [ref].concat(constraints));
+  }
 
-  __pathChanged: function(path, oldPath) {
+  __pathChanged(path, oldPath) {
     // we only need to reset the data if the path is null (will also trigged when this element initiates)
     // When path changes and is not null, it triggers a ref change (via __computeRef(db,path)), which then triggers a __queryChanged setting data to zeroValue
 
@@ -276,15 +341,12 @@ Polymer({
         this.data = this.zeroValue;
       });
     }
-  },
+  }
 
-  __queryChanged: function(query, oldQuery) {
+  __queryChanged(query, oldQuery) {
     if (oldQuery) {
-      oldQuery.off('value', this.__onFirebaseValue, this);
-      oldQuery.off('child_added', this.__onFirebaseChildAdded, this);
-      oldQuery.off('child_removed', this.__onFirebaseChildRemoved, this);
-      oldQuery.off('child_changed', this.__onFirebaseChildChanged, this);
-      oldQuery.off('child_moved', this.__onFirebaseChildMoved, this);
+      this.__unlisten();
+      this._logEvent('listener-detach', {path: this._pathOf(oldQuery)});
 
       this.syncToMemory(function() {
         this.__map = {};
@@ -292,30 +354,105 @@ Polymer({
       });
     }
 
-    // this allows us to just call the addition of event listeners only once.
-    // __queryChanged is being called thrice when firebase-query is created
-    // 1 - 2. query property computed (null, undefined)
-    // 3. when attached is called (this.query, this.query)
-    // need help to fix this so that this function is only called once
-
     if (query) {
-      if(this._onOnce){ // remove handlers before adding again. Otherwise we get data multiplying
-        query.off('child_added', this.__onFirebaseChildAdded, this);
-        query.off('child_removed', this.__onFirebaseChildRemoved, this);
-        query.off('child_changed', this.__onFirebaseChildChanged, this);
-        query.off('child_moved', this.__onFirebaseChildMoved, this);
+      // __queryChanged also runs when the element attaches, with the
+      // current query as both arguments; listening twice would add every
+      // child twice
+      this.__unlisten();
+      this.__loaded = false;
+
+      if (this._live) {
+        // does the on-value first
+        this._setLoading(true);
+        this.__unsubscribers.push(sdk().onValue(query,
+            this.__onFirebaseValue.bind(this), this.__onListenError.bind(this)));
+        this._logEvent('listener-attach',
+            {path: this._pathOf(query), event: 'value'});
+      } else {
+        this.__fetch(query).catch(function() {});
       }
 
-      this._onOnce = true;
-      this._query = query
+      this.__renderCache(query);
+    } else {
+      this._setLoading(false);
+    }
+  }
 
-      // does the on-value first
-      query.off('value', this.__onFirebaseValue, this)
-      query.on('value', this.__onFirebaseValue, this.__onError, this)
+  /**
+   * Reads the query results from the server again. Useful when they are
+   * read once, see `once`.
+   *
+   * @return {Promise} A promise that resolves once the results are read.
+   */
+  refresh() {
+    if (!this.query) {
+      return this._reject('no-path', 'No path to read from!', 'read');
     }
-  },
 
-  __indexFromKey: function(key) {
+    return this.__fetch(this.query);
+  }
+
+  __fetch(query) {
+    this._setLoading(true);
+
+    return sdk().get(query).then(function(snapshot) {
+      if (this.query === query) {
+        this.__onFirebaseValue(snapshot);
+      }
+    }.bind(this), function(error) {
+      this._setLoading(false);
+      throw this.__onError(error, 'read', this._pathOf(query));
+    }.bind(this));
+  }
+
+  /**
+   * Removes the listeners of the current query.
+   */
+  __unlisten() {
+    this.__unsubscribers.forEach(function(unsubscribe) {
+      unsubscribe();
+    });
+    this.__unsubscribers = [];
+  }
+
+  __liveChanged(live) {
+    if (this.isConnected && this.query) {
+      this.__queryChanged(this.query, this.query);
+    }
+  }
+
+  _cacheKey() {
+    return this.path + '?' + JSON.stringify([this.orderByChild,
+        this.orderByValue, this.limitToFirst, this.limitToLast, this.startAt,
+        this.endAt, this.equalTo]);
+  }
+
+  /**
+   * Shows the cached results of `query` until the server answers.
+   */
+  __renderCache(query) {
+    if (!this.cache) {
+      return;
+    }
+
+    this._readCache().then(function(data) {
+      if (!Array.isArray(data) || this.query !== query || this.__loaded) {
+        return;
+      }
+
+      this.syncToMemory(function() {
+        this._log('Updating data from cache:', data);
+        this._showsCache = true;
+        this.__map = {};
+        data.forEach(function(value) {
+          this.__map[value.$key] = value;
+        }, this);
+        this.set('data', data);
+      });
+    }.bind(this));
+  }
+
+  __indexFromKey(key) {
     if (key != null) {
       for (var i = 0; i < this.data.length; i++) {
         if (this.data[i].$key === key) {
@@ -324,11 +461,21 @@ Polymer({
       }
     }
     return -1;
-  },
+  }
+
+  __onFirebaseValue(snapshot) {
+    this._logEvent('read', {
+      path: this._pathOf(snapshot.ref),
+      event: 'value',
+      count: snapshot.size
+    });
+    this._markSynced();
+    this._setLoading(false);
+    this.__loaded = true;
 
-  __onFirebaseValue: function(snapshot) {
     if (snapshot.hasChildren()) {
       var data = [];
+      this.__map = {};
       snapshot.forEach(function(childSnapshot) {
         var key = childSnapshot.key;
         var value = this.__valueWithKey(key, childSnapshot.val())
@@ -338,25 +485,38 @@ Polymer({
       }.bind(this))
 
       this.set('data', data);
+    } else if ((this.cache || !this._live) && this.data.length) {
+      // drop the cached or previously read results
+      this.syncToMemory(function() {
+        this.__map = {};
+        this.set('data', this.zeroValue);
+      });
     }
 
-    const query = this.query
-
-    query.off('value', this.__onFirebaseValue, this)
+    this._writeCache();
 
-    // ensures that all events are called once
-    query.off('child_added', this.__onFirebaseChildAdded, this);
-    query.off('child_removed', this.__onFirebaseChildRemoved, this);
-    query.off('child_changed', this.__onFirebaseChildChanged, this);
-    query.off('child_moved', this.__onFirebaseChildMoved, this);
+    if (!this._live) {
+      return;
+    }
 
-    query.on('child_added', this.__onFirebaseChildAdded, this.__onError, this);
-    query.on('child_removed', this.__onFirebaseChildRemoved, this.__onError, this);
-    query.on('child_changed', this.__onFirebaseChildChanged, this.__onError, this);
-    query.on('child_moved', this.__onFirebaseChildMoved, this.__onError, this);
-  },
+    var query = this.query;
+    var onError = this.__onListenError.bind(this);
+
+    // the child events keep `data` up to date from now on
+    this.__unlisten();
+    this.__unsubscribers = [
+      sdk().onChildAdded(query, this.__onFirebaseChildAdded.bind(this), onError),
+      sdk().onChildRemoved(query, this.__onFirebaseChildRemoved.bind(this), onError),
+      sdk().onChildChanged(query, this.__onFirebaseChildChanged.bind(this), onError),
+      sdk().onChildMoved(query, this.__onFirebaseChildMoved.bind(this), onError)
+    ];
+    this._logEvent('listener-attach', {
+      path: this._pathOf(query),
+      event: ['child_added', 'child_removed', 'child_changed', 'child_moved']
+    });
+  }
 
-  __onFirebaseChildAdded: function(snapshot, previousChildKey) {
+  __onFirebaseChildAdded(snapshot, previousChildKey) {
     var key = snapshot.key;
 
     // check if the key-value pair already exists
@@ -365,24 +525,26 @@ Polymer({
     var value = snapshot.val();
     var previousChildIndex = this.__indexFromKey(previousChildKey);
 
-    this._log('Firebase child_added:', key, value);
+    this._logEvent('read', {event: 'child_added', key: key, value: value});
+    this._writeCache();
 
     value = this.__snapshotToValue(snapshot);
 
     this.__map[key] = value;
     this.splice('data', previousChildIndex + 1, 0, value);
-  },
+  }
 
-  __onFirebaseChildRemoved: function(snapshot) {
+  __onFirebaseChildRemoved(snapshot) {
 
     var key = snapshot.key;
     var value = this.__map[key];
 
-    this._log('Firebase child_removed:', key, value);
+    this._logEvent('read', {event: 'child_removed', key: key});
+    this._writeCache();
 
     if (value) {
       this.__map[key] = null;
-      this.async(function() {
+      microTask.run(function() {
         this.syncToMemory(function() {
           // this only catches already deleted keys (which will return -1)
           // at least it will not delete the last element from the array (this.splice('data', -1, 1))
@@ -390,18 +552,19 @@ Polymer({
             this.splice('data', this.__indexFromKey(key), 1);
           }
         });
-      });
+      }.bind(this));
     }
-  },
+  }
 
-  __onFirebaseChildChanged: function(snapshot) {
+  __onFirebaseChildChanged(snapshot) {
     var key = snapshot.key;
     var prev = this.__map[key];
 
-    this._log('Firebase child_changed:', key, prev);
+    this._logEvent('read', {event: 'child_changed', key: key});
+    this._writeCache();
 
     if (prev) {
-      this.async(function() {
+      microTask.run(function() {
         var index = this.__indexFromKey(key);
         var value = this.__snapshotToValue(snapshot);
 
@@ -423,17 +586,18 @@ Polymer({
             this.set(['data', index], value);
           }
         });
-      });
+      }.bind(this));
     }
-  },
+  }
 
-  __onFirebaseChildMoved: function(snapshot, previousChildKey) {
+  __onFirebaseChildMoved(snapshot, previousChildKey) {
     var key = snapshot.key;
     var value = this.__map[key];
     var targetIndex = previousChildKey ? this.__indexFromKey(previousChildKey) + 1 : 0;
 
-    this._log('Firebase child_moved:', key, value,
-        'to index', targetIndex);
+    this._logEvent('read',
+        {event: 'child_moved', key: key, previousChildKey: previousChildKey});
+    this._writeCache();
 
     if (value) {
       var index = this.__indexFromKey(key);
@@ -441,16 +605,16 @@ Polymer({
 
       this.__map[key] = value;
 
-      this.async(function() {
+      microTask.run(function() {
         this.syncToMemory(function() {
           this.splice('data', index, 1);
           this.splice('data', targetIndex, 0, value);
         });
-      });
+      }.bind(this));
     }
-  },
+  }
 
-  __valueWithKey: function(key, value) {
+  __valueWithKey(key, value) {
     var leaf = typeof value !== 'object';
 
     if (leaf) {
@@ -459,12 +623,14 @@ Polymer({
       value.$key = key;
     }
     return value;
-  },
+  }
 
-  __snapshotToValue: function(snapshot) {
+  __snapshotToValue(snapshot) {
     var key = snapshot.key;
     var value = snapshot.val();
 
     return this.__valueWithKey(key, value);
   }
-});
+}
+
+customElements.define(FirebaseQuery.is, FirebaseQuery);
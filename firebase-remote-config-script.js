@@ -0,0 +1,5 @@
+export {
+  fetchAndActivate,
+  getAll,
+  getRemoteConfig
+} from 'firebase/remote-config';
@@ -0,0 +1,295 @@
+/**
+@license
+Copyright 2016 Google Inc. All Rights Reserved.
+Use of this source code is governed by a BSD-style
+license that can be found in the LICENSE file or at
+https://github.com/firebase/polymerfire/blob/master/LICENSE
+*/
+import { FirebaseCommonMixin } from './firebase-common-mixin.js';
+import { getServiceSdk } from './firebase-loader.js';
+import { PolymerElement } from '@polymer/polymer/polymer-element.js';
+
+/**
+ * Returns the Remote Config SDK, once the element loaded it.
+ */
+function sdk() {
+  return getServiceSdk('remoteConfig');
+}
+
+/**
+ * Calls `method` of a backend, or the SDK function of the same name with the
+ * Remote Config service.
+ */
+function callRemoteConfig(remoteConfig, method) {
+  return typeof remoteConfig[method] === 'function' ?
+      remoteConfig[method]() : sdk()[method](remoteConfig);
+}
+
+/**
+ * Wraps a raw config value in the same interface as the `Value` of the
+ * Remote Config SDK.
+ */
+function localValue(value) {
+  var string = value == null ? '' : String(value);
+
+  return {
+    asString: function() {
+      return string;
+    },
+    asNumber: function() {
+      return Number(string) || 0;
+    },
+    asBoolean: function() {
+      return /^(1|true|t|yes|y|on)$/i.test(string);
+    }
+  };
+}
+
+/**
+ * Creates a Remote Config backend that serves the given values instead of
+ * fetching them from Firebase, e.g. for use in tests:
+ *
+ *     element.backend = createLocalRemoteConfig({welcome_text: 'Hi!'});
+ *
+ * A backend is any object with the `settings`, `defaultConfig` and
+ * `lastFetchStatus` of a `RemoteConfig` service, and `fetchAndActivate()`
+ * and `getAll()` methods standing in for the SDK functions of the same
+ * name.
+ *
+ * @param {Object=} values The values to serve, keyed by parameter name.
+ * @return {!Object}
+ */
+export function createLocalRemoteConfig(values) {
+  var active = {};
+
+  return {
+    settings: {},
+    defaultConfig: {},
+    lastFetchStatus: 'no-fetch-yet',
+
+    fetchAndActivate: function() {
+      var fetched = Object.assign({}, values);
+      var changed = JSON.stringify(fetched) !== JSON.stringify(active);
+
+      active = fetched;
+      this.lastFetchStatus = 'success';
+      return Promise.resolve(changed);
+    },
+
+    getAll: function() {
+      var config = Object.assign({}, this.defaultConfig, active);
+      var all = {};
+
+      for (var key in config) {
+        all[key] = localValue(config[key]);
+      }
+
+      return all;
+    }
+  };
+}
+
+/**
+ * The firebase-remote-config element fetches and activates Firebase Remote
+ * Config, and exposes the active parameter values to the Polymer databinding
+ * system.
+ *
+ * For example:
+ *
+ *     <firebase-remote-config
+ *       defaults='{"welcome_text": "Welcome!", "show_banner": false}'
+ *       values="{{config}}">
+ *     </firebase-remote-config>
+ *
+ *     <template is="dom-if" if="[[config.show_banner]]">
+ *       <h1>[[config.welcome_text]]</h1>
+ *     </template>
+ *
+ * Values are typed after their entry in `defaults`: a parameter with a
+ * boolean default is exposed as a boolean, one with a numeric default as a
+ * number, and every other parameter as a string.
+ *
+ * A `config-activated` event is fired each time fetched values have been
+ * activated.
+ */
+export class FirebaseRemoteConfig extends FirebaseCommonMixin(PolymerElement) {
+  static get is() {
+    return 'firebase-remote-config';
+  }
+
+  static get properties() {
+    return {
+      /**
+       * Default parameter values, used until fetched values are activated and
+       * for parameters that have no value in Remote Config.
+       */
+      defaults: {
+        type: Object,
+        value: function() {
+          return {};
+        }
+      },
+
+      /**
+       * The minimum time in milliseconds between two fetches from the Remote
+       * Config backend. Fetches made sooner are served from the cache.
+       */
+      minimumFetchInterval: {
+        type: Number,
+        value: 12 * 60 * 60 * 1000
+      },
+
+      /**
+       * When true, values are not fetched until `fetchAndActivate()` is
+       * called explicitly.
+       */
+      manual: {
+        type: Boolean,
+        value: false
+      },
+
+      /**
+       * A Remote Config backend to use instead of the app's Remote Config
+       * service. See `createLocalRemoteConfig()`.
+       */
+      backend: {
+        type: Object,
+        value: null
+      },
+
+      /**
+       * [`RemoteConfig`](https://firebase.google.com/docs/reference/js/remote-config.remoteconfig)
+       * service interface, or `backend` when set.
+       */
+      remoteConfig: {
+        type: Object,
+        computed: '__computeRemoteConfig(app, backend, _serviceLoaded)'
+      },
+
+      /**
+       * The active parameter values, keyed by parameter name.
+       */
+      values: {
+        type: Object,
+        value: function() {
+          return {};
+        },
+        notify: true,
+        readOnly: true
+      },
+
+      /**
+       * The status of the most recent fetch: `no-fetch-yet`, `success`,
+       * `failure` or `throttle`.
+       */
+      lastFetchStatus: {
+        type: String,
+        value: 'no-fetch-yet',
+        notify: true,
+        readOnly: true
+      }
+    };
+  }
+
+  static get observers() {
+    return [
+      '__remoteConfigChanged(remoteConfig, defaults, minimumFetchInterval, manual)'
+    ];
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    if (!this.backend) {
+      this._loadService('remoteConfig');
+    }
+  }
+
+  /**
+   * Fetches the parameter values and activates them.
+   *
+   * @return {Promise} A promise that resolves with the active values.
+   */
+  fetchAndActivate() {
+    var remoteConfig = this.remoteConfig;
+
+    if (!remoteConfig) {
+      return this._reject('no-app', 'No app configured!', 'fetch');
+    }
+
+    this._logEvent('read', {event: 'fetchAndActivate'});
+
+    return callRemoteConfig(remoteConfig, 'fetchAndActivate').then(function(activated) {
+      if (remoteConfig !== this.remoteConfig) {
+        return this.values;
+      }
+
+      this._setLastFetchStatus(remoteConfig.lastFetchStatus);
+      this.__updateValues();
+      this._fire('config-activated', {
+        values: this.values,
+        activated: activated
+      });
+      return this.values;
+    }.bind(this), function(error) {
+      this._setLastFetchStatus(remoteConfig.lastFetchStatus);
+      throw this.__onError(error, 'fetch');
+    }.bind(this));
+  }
+
+  /**
+   * Returns the active value of a parameter, typed after its default.
+   *
+   * @param {string} key The parameter name.
+   * @return {*}
+   */
+  getValue(key) {
+    return this.values[key];
+  }
+
+  __computeRemoteConfig(app, backend, serviceLoaded) {
+    if (backend) {
+      return backend;
+    }
+
+    return app && serviceLoaded ? sdk().getRemoteConfig(app) : null;
+  }
+
+  __remoteConfigChanged(remoteConfig, defaults, minimumFetchInterval, manual) {
+    if (!remoteConfig) {
+      return;
+    }
+
+    remoteConfig.defaultConfig = defaults || {};
+    remoteConfig.settings.minimumFetchIntervalMillis = minimumFetchInterval;
+    this.__updateValues();
+
+    if (!manual) {
+      // errors are reported through the `error` event
+      this.fetchAndActivate().catch(function() {});
+    }
+  }
+
+  __updateValues() {
+    var all = callRemoteConfig(this.remoteConfig, 'getAll');
+    var defaults = this.defaults || {};
+    var values = {};
+
+    for (var key in all) {
+      switch (typeof defaults[key]) {
+        case 'boolean':
+          values[key] = all[key].asBoolean();
+          break;
+        case 'number':
+          values[key] = all[key].asNumber();
+          break;
+        default:
+          values[key] = all[key].asString();
+      }
+    }
+
+    this._setValues(values);
+  }
+}
+
+customElements.define(FirebaseRemoteConfig.is, FirebaseRemoteConfig);
@@ -0,0 +1,212 @@
+/**
+@license
+Copyright 2016 Google Inc. All Rights Reserved.
+Use of this source code is governed by a BSD-style
+license that can be found in the LICENSE file or at
+https://github.com/firebase/polymerfire/blob/master/LICENSE
+*/
+
+/**
+ * Returns the JSON Schema type of `value`. The server value sentinels of
+ * bound data are numbers once they are resolved.
+ */
+function typeOf(value) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+
+  if (typeof value === 'object' &&
+      (value.$serverTimestamp === true || typeof value.$increment === 'number')) {
+    return 'number';
+  }
+
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  var actual = typeOf(value);
+
+  if (type === 'integer') {
+    return actual === 'number' &&
+        (typeof value !== 'number' || Math.floor(value) === value);
+  }
+
+  return actual === type;
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function joinPath(path, key) {
+  return path === '/' ? '/' + key : path + '/' + key;
+}
+
+function check(schema, value, path, errors) {
+  var report = function(keyword, message) {
+    errors.push({path: path, keyword: keyword, message: message});
+  };
+
+  if (!schema || typeof schema !== 'object') {
+    return;
+  }
+
+  if (value && typeof value === 'object' && value.hasOwnProperty('$val')) {
+    value = value.$val;
+  }
+
+  if (schema.type != null) {
+    var types = [].concat(schema.type);
+
+    if (!types.some(function(type) { return matchesType(value, type); })) {
+      report('type', 'must be of type ' + types.join(' or '));
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(function(option) {
+    return isEqual(option, value);
+  })) {
+    report('enum', 'must be one of ' + JSON.stringify(schema.enum));
+  }
+
+  if ('const' in schema && !isEqual(schema.const, value)) {
+    report('const', 'must be ' + JSON.stringify(schema.const));
+  }
+
+  switch (typeOf(value)) {
+    case 'number':
+      if (typeof value !== 'number') {
+        // a server value, unknown until it is resolved
+        break;
+      }
+      if (schema.minimum != null && value < schema.minimum) {
+        report('minimum', 'must be at least ' + schema.minimum);
+      }
+      if (schema.maximum != null && value > schema.maximum) {
+        report('maximum', 'must be at most ' + schema.maximum);
+      }
+      if (schema.exclusiveMinimum != null && value <= schema.exclusiveMinimum) {
+        report('exclusiveMinimum', 'must be greater than ' +
+            schema.exclusiveMinimum);
+      }
+      if (schema.exclusiveMaximum != null && value >= schema.exclusiveMaximum) {
+        report('exclusiveMaximum', 'must be less than ' +
+            schema.exclusiveMaximum);
+      }
+      break;
+
+    case 'string':
+      if (schema.minLength != null && value.length < schema.minLength) {
+        report('minLength', 'must have at least ' + schema.minLength +
+            ' characters');
+      }
+      if (schema.maxLength != null && value.length > schema.maxLength) {
+        report('maxLength', 'must have at most ' + schema.maxLength +
+            ' characters');
+      }
+      if (schema.pattern != null && !new RegExp(schema.pattern).test(value)) {
+        report('pattern', 'must match ' + schema.pattern);
+      }
+      break;
+
+    case 'array':
+      if (schema.minItems != null && value.length < schema.minItems) {
+        report('minItems', 'must have at least ' + schema.minItems + ' items');
+      }
+      if (schema.maxItems != null && value.length > schema.maxItems) {
+        report('maxItems', 'must have at most ' + schema.maxItems + ' items');
+      }
+      if (schema.items) {
+        value.forEach(function(item, index) {
+          check(schema.items, item, joinPath(path, index), errors);
+        });
+      }
+      break;
+
+    case 'object':
+      (schema.required || []).forEach(function(key) {
+        if (value[key] == null) {
+          errors.push({
+            path: joinPath(path, key),
+            keyword: 'required',
+            message: 'is required'
+          });
+        }
+      });
+
+      Object.keys(value).forEach(function(key) {
+        // null children are deleted, `required` covers them
+        if (key === '$key' || value[key] == null) {
+          return;
+        }
+
+        var childSchema = childSchemaOf(schema, key);
+
+        if (childSchema === false) {
+          errors.push({
+            path: joinPath(path, key),
+            keyword: 'additionalProperties',
+            message: 'is not allowed'
+          });
+        } else {
+          check(childSchema, value[key], joinPath(path, key), errors);
+        }
+      });
+      break;
+  }
+}
+
+/**
+ * Returns the schema of the child `key` of values described by `schema`:
+ * a schema, `false` if the child is not allowed, or `undefined` if
+ * anything goes.
+ *
+ * @param {Object} schema
+ * @param {string} key
+ * @return {Object|boolean|undefined}
+ */
+export function childSchemaOf(schema, key) {
+  if (!schema || typeof schema !== 'object') {
+    return undefined;
+  }
+
+  if (schema.properties && schema.properties.hasOwnProperty(key)) {
+    return schema.properties[key];
+  }
+
+  if (schema.items && /^\d+$/.test(key)) {
+    return schema.items;
+  }
+
+  if (schema.additionalProperties === false) {
+    return false;
+  }
+
+  return typeof schema.additionalProperties === 'object' ?
+      schema.additionalProperties : undefined;
+}
+
+/**
+ * Validates `value` against a subset of JSON Schema: `type`, `enum`,
+ * `const`, `minimum`, `maximum`, `exclusiveMinimum`, `exclusiveMaximum`,
+ * `minLength`, `maxLength`, `pattern`, `minItems`, `maxItems`, `items`,
+ * `required`, `properties` and `additionalProperties`. Other keywords are
+ * ignored. As in the database, null properties are treated as missing.
+ *
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} path The path of `value`, used in the errors.
+ * @return {!Array<{path: string, keyword: string, message: string}>} The
+ *     errors, empty if `value` is valid.
+ */
+export function validateValue(schema, value, path) {
+  var errors = [];
+
+  check(schema, value, path, errors);
+  return errors;
+}
@@ -0,0 +1,121 @@
+/**
+@license
+Copyright 2016 Google Inc. All Rights Reserved.
+Use of this source code is governed by a BSD-style
+license that can be found in the LICENSE file or at
+https://github.com/firebase/polymerfire/blob/master/LICENSE
+*/
+import { dedupingMixin } from '@polymer/polymer/lib/utils/mixin.js';
+import { FirebaseCommonMixin } from './firebase-common-mixin.js';
+import { connectEmulator } from './firebase-emulators.js';
+import { getServiceSdk } from './firebase-loader.js';
+
+/**
+ * Returns the Cloud Storage SDK, once an element loaded it.
+ */
+function sdk() {
+  return getServiceSdk('storage');
+}
+
+/**
+ * Element class mixin for the elements that upload files to, or list
+ * files of, Cloud Storage.
+ *
+ * @mixinFunction
+ * @polymer
+ * @appliesMixin FirebaseCommonMixin
+ */
+export const FirebaseStorageMixin = dedupingMixin(function(superClass) {
+  return class extends FirebaseCommonMixin(superClass) {
+    static get properties() {
+      return {
+        /**
+          * Firebase storage instance
+          *
+          */
+        storage : {
+          type: Object,
+          computed: '__computeStorage(app, _serviceLoaded)'
+        },
+
+        /**
+          * Firebase storage ref instance
+          *
+          */
+        ref: {
+          type: Object,
+          computed: '__computeRef(storage, path)'
+        },
+
+        /**
+         * Path to a Firebase storage root or endpoint. N.B. `path` is case sensitive.
+         */
+        path: {
+          type: String,
+          observer: '__pathChanged',
+          value: null
+        },
+
+        /**
+          * Forces every upload to be a unique file by adding a date of upload at the start of the file.
+          *
+          */
+        forceUnique: {
+          type: Boolean,
+          value: false
+        }
+      };
+    }
+
+    get zeroValue() {
+      return [];
+    }
+
+    connectedCallback() {
+      super.connectedCallback();
+
+      this._loadService('storage');
+    }
+
+    __put(path, file, metadata) {
+      this._logEvent('write', {
+        path: path ? this.path + '/' + path : this.path,
+        file: file ? file.name : null
+      });
+      if (file) {
+        var newFilename = this.forceUnique ? Date.now().toString() + '-' + file.name : file.name;
+        var fileRef = path ?
+            sdk().ref(this.ref.root, path + '/' + newFilename) :
+            sdk().ref(this.ref, newFilename);
+        return sdk().uploadBytesResumable(fileRef, file, metadata);
+      }
+      return sdk().deleteObject(path ? sdk().ref(this.ref, path) : this.ref);
+    }
+
+    __putString(path, data, format, metadata) {
+      this._logEvent('write',
+          {path: path ? this.path + '/' + path : this.path, format: format});
+      if (data) {
+        var ref = path ? sdk().ref(this.storage, path) : this.ref;
+        return sdk().uploadString(ref, data, format, metadata);
+      }
+      return sdk().deleteObject(path ? sdk().ref(this.ref, path) : this.ref);
+    }
+
+    __computeStorage(app, serviceLoaded) {
+      return app && serviceLoaded ?
+          connectEmulator(app, 'storage', sdk().getStorage(app)) : null;
+    }
+
+    __computeRef(storage, path) {
+      if (storage == null ||
+          path == null ||
+          path.split('/').slice(1).indexOf('') >= 0) {
+        return null;
+      }
+      return sdk().ref(storage, path);
+    }
+
+    __pathChanged(path) {}
+  };
+});
@@ -5,10 +5,8 @@ Use of this source code is governed by a BSD-style
 license that can be found in the LICENSE file or at
 https://github.com/firebase/polymerfire/blob/master/LICENSE
 */
-import '@polymer/polymer/polymer-legacy.js';
-
-import { FirebaseStorageBehavior } from './firebase-storage-behavior.js';
-import { Polymer } from '@polymer/polymer/lib/legacy/polymer-fn.js';
+import { FirebaseStorageMixin } from './firebase-storage-mixin.js';
+import { PolymerElement } from '@polymer/polymer/polymer-element.js';
 
 /**
 * The firebase-storage-multiupload element is an easy way to upload files by
@@ -86,58 +84,60 @@ import { Polymer } from '@polymer/polymer/lib/legacy/polymer-fn.js';
 * Set this configuration by adding a `<firebase-app>` element anywhere in your
 * app.
 */
-Polymer({
-  is: 'firebase-storage-multiupload',
+export class FirebaseStorageMultiupload extends FirebaseStorageMixin(PolymerElement) {
+  static get is() {
+    return 'firebase-storage-multiupload';
+  }
 
-  properties: {
-    /**
-      * The files to be uploaded.
-      */
-    files: {
-      type: Array
-    },
+  static get properties() {
+    return {
+      /**
+        * The files to be uploaded.
+        */
+      files: {
+        type: Array
+      },
 
-    /**
-      * The upload tasks after invoking the Firebase storage put method
-      *
-      */
-    uploadTasks: {
-      type: Array,
-      notify: true,
-      value: []
-    },
+      /**
+        * The upload tasks after invoking the Firebase storage put method
+        *
+        */
+      uploadTasks: {
+        type: Array,
+        notify: true,
+        value: []
+      },
 
-    /**
-      * Uploads the files automatically when the file list has been changed/updated
-      *
-      */
-    auto: {
-      type: Boolean,
-      value: false
-    }
-  },
+      /**
+        * Uploads the files automatically when the file list has been changed/updated
+        *
+        */
+      auto: {
+        type: Boolean,
+        value: false
+      }
+    };
+  }
 
-  behaviors: [
-    FirebaseStorageBehavior
-  ],
+  static get observers() {
+    return [
+      '__filesChanged(files, auto)'
+    ];
+  }
 
   /**
   * @override
   */
   get isNew() {
     return !this.path;
-  },
+  }
 
   /**
   * @override
   */
   get zeroValue() {
     return [];
-  },
-
-  observers: [
-    '__filesChanged(files, auto)'
-  ],
+  }
 
   /**
   * Upload files, update the path and write this.files to that new location.
@@ -150,57 +150,67 @@ Polymer({
   *     written to the new path.
   * @override
   */
-  upload: function(files, path) {
+  upload(files, path) {
     if (!this.app) {
-      this.fire('error', new Error('No app configured!'))
+      this.__onError(this._createError('no-app', 'No app configured!', 'upload'));
+      return;
     }
     this._putMultipleFirebaseFiles(path || this.path, files && files.length ? files : this.files);
     if (path) {
       this.path = path;
     }
-  },
+  }
 
   /**
     * Resets the firebase-storage-multiupload instance
     *
     */
-  reset: function() {
+  reset() {
     this.path = null;
     this.clearTasks();
     return Promise.resolve();
-  },
+  }
 
   /**
     * Resets the upload tasks
     *
     */
-  clearTasks: function() {
+  clearTasks() {
     this.uploadTasks = [];
-  },
+  }
 
-  _putMultipleFirebaseFiles: function(path, files) {
+  _putMultipleFirebaseFiles(path, files) {
     this._log('Putting Multiple Firebase files at',  path ? this.path + '/' + path : this.path);
     files = files && typeof files === 'object' && files.name ? [files] : files;
     if (files && files.length > 0) {
       for (var i = 0; i < files.length; i++) {
         var uploadTask = this.__put(path, files[i], this.metadata ? this.metadata : files[i].metadata);
-        uploadTask.on(firebase.storage.TaskEvent.STATE_CHANGED, function(snapshot) {}, function(error) {
-          this.fire('error', error, { bubble: false});
+        uploadTask.on('state_changed', function(snapshot) {
+          this._logEvent('upload-progress', {
+            path: snapshot.ref.fullPath,
+            state: snapshot.state,
+            bytesTransferred: snapshot.bytesTransferred,
+            totalBytes: snapshot.totalBytes
+          });
+        }.bind(this), function(error) {
+          this.__onError(error, 'upload', path);
         }.bind(this));
         this.push('uploadTasks', uploadTask);
       }
     }
-  },
+  }
 
-  __filesChanged: function(files, auto) {
+  __filesChanged(files, auto) {
     if (auto && files && files.length) {
       this.upload(files)
     }
-  },
+  }
 
-  __pathChanged: function(path, oldPath) {
+  __pathChanged(path, oldPath) {
     if (oldPath != null) {
       this.clearTasks();
     }
-  },
-});
+  }
+}
+
+customElements.define(FirebaseStorageMultiupload.is, FirebaseStorageMultiupload);
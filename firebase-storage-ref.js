@@ -5,10 +5,16 @@ Use of this source code is governed by a BSD-style
 license that can be found in the LICENSE file or at
 https://github.com/firebase/polymerfire/blob/master/LICENSE
 */
-import '@polymer/polymer/polymer-legacy.js';
+import { getServiceSdk } from './firebase-loader.js';
+import { FirebaseStorageMixin } from './firebase-storage-mixin.js';
+import { PolymerElement } from '@polymer/polymer/polymer-element.js';
 
-import { FirebaseStorageBehavior } from './firebase-storage-behavior.js';
-import { Polymer } from '@polymer/polymer/lib/legacy/polymer-fn.js';
+/**
+ * Returns the Cloud Storage SDK, once the element loaded it.
+ */
+function sdk() {
+  return getServiceSdk('storage');
+}
 
 /**
 * The firebase-storage-ref element is an easy way to interact with a firebase
@@ -32,181 +38,184 @@ import { Polymer } from '@polymer/polymer/lib/legacy/polymer-fn.js';
 * Set this configuration by adding a `<firebase-app>` element anywhere in your
 * app.
 */
-Polymer({
-  is: 'firebase-storage-ref',
-
-  properties: {
-    /**
-      * The url of the file for download
-      */
-    downloadUrl: {
-      type: String,
-      notify: true
-    },
-
-    /**
-      * The metadata of the file
-      */
-    metadata: {
-      type: Object,
-      notify: true
-    },
-
-    /**
-     * The Cloud Storage URI string of this object in the form `gs://<bucket>/<path>/<to>/<object>`
-     */
-    storageUri: {
-      type: String,
-      notify: true
-    },
-
-    /**
-      * The upload task of the file when you use the put method.
-      */
-    uploadTask: {
-      type: Object,
-      notify: true
-    }
-  },
+export class FirebaseStorageRef extends FirebaseStorageMixin(PolymerElement) {
+  static get is() {
+    return 'firebase-storage-ref';
+  }
 
-  behaviors: [
-    FirebaseStorageBehavior
-  ],
-  
-  
-  observers: [
-    '__pathChanged(path, storage)'
-  ],
+  static get properties() {
+    return {
+      /**
+        * The url of the file for download
+        */
+      downloadUrl: {
+        type: String,
+        notify: true
+      },
+
+      /**
+        * The metadata of the file
+        */
+      metadata: {
+        type: Object,
+        notify: true
+      },
+
+      /**
+       * The Cloud Storage URI string of this object in the form `gs://<bucket>/<path>/<to>/<object>`
+       */
+      storageUri: {
+        type: String,
+        notify: true
+      },
+
+      /**
+        * The upload task of the file when you use the put method. Strings
+        * are uploaded in one request, so after `putString()` this is a
+        * promise that resolves with the upload result instead.
+        */
+      uploadTask: {
+        type: Object,
+        notify: true
+      }
+    };
+  }
+
+  static get observers() {
+    return [
+      '__pathChanged(path, storage)'
+    ];
+  }
 
   /**
   * @override
   */
   get isNew() {
     return !this.path;
-  },
+  }
 
   /**
   * @override
   */
   get zeroValue() {
     return [];
-  },
-  
-  __pathChanged: function(path) {
+  }
+
+  __pathChanged(path) {
     if (this.storage) {
       this.getDownloadURL(path).then(function(downloadUrl) {
         this.downloadUrl = downloadUrl;
       }.bind(this)).catch(function(error) {
-        this.fire('error', error, { bubble: false});
+        this.__onError(error, 'getDownloadURL', path);
       }.bind(this));
 
       this.getMetadata(path).then(function(metadata) {
         this.metadata = metadata;
       }.bind(this)).catch(function(error) {
-        this.fire('error', error, { bubble: false});
+        this.__onError(error, 'getMetadata', path);
       }.bind(this));
       
       this.storageUri = this.toGsString(path);
     }
-  },
-
+  }
 
   /**
   *  Resets this element's path
   */
-  reset: function() {
+  reset() {
     this.path = null;
     return Promise.resolve();
-  },
+  }
 
   /**
   *  Sets the path from url
   */
-  setPathFromUrl: function(url) {
+  setPathFromUrl(url) {
     if (url) {
       this.path = this.getPathFromUrl(url);
       return new Promise.resolve();
     }
     return new Promise.resolve();
-  },
+  }
 
   /**
   *  Get's the path from url
   */
-  getPathFromUrl: function(url) {
-    return url ? this.storage.refFromURL(url) : null;
-  },
+  getPathFromUrl(url) {
+    return url ? sdk().ref(this.storage, url).fullPath : null;
+  }
 
   /**
   *  Deletes the file associated in the firebase storage path
   */
-  delete: function() {
+  delete() {
     return this.__put().then(function() {
       return this.reset();
     }.bind(this));
-  },
+  }
 
   /**
   *  Stores a new single file inside this path
   */
-  put: function(file, metadata) {
+  put(file, metadata) {
     this.uploadTask = this.__put(null, file, metadata);
     return this.uploadTask;
-  },
+  }
 
   /**
   *  Stores a string in a given format
   */
-  putString: function(data, format, metadata) {
+  putString(data, format, metadata) {
     this.uploadTask = this.__putString(null, data, format, metadata);
     return this.uploadTask;
-  },
+  }
 
   /**
   *  Get the download url of the file
   */
-  getDownloadURL: function(path) {
+  getDownloadURL(path) {
     if (path) {
-      return this.storage.ref(path).getDownloadURL();
+      return sdk().getDownloadURL(sdk().ref(this.storage, path));
     } else if (this.ref) {
-      return this.ref.getDownloadURL();
+      return sdk().getDownloadURL(this.ref);
     }
     return new Promise(function(resolve, reject) {resolve();});
-  },
+  }
 
   /**
   *  Get the metadata of the file
   */
-  getMetadata: function(path) {
+  getMetadata(path) {
     if (path) {
-      return this.storage.ref(path).getMetadata();
+      return sdk().getMetadata(sdk().ref(this.storage, path));
     } else if (this.ref) {
-      return this.ref.getMetadata();
+      return sdk().getMetadata(this.ref);
     }
     return new Promise(function(resolve, reject) {resolve();});
-  },
+  }
 
   /**
    * Returns a gs:// URL for this object in the form gs://<bucket>/<path>/<to>/<object>
    */
-
-  toGsString: function(path) {
+  toGsString(path) {
     if (path) {
-      return this.storage.ref(path).toString();
+      return sdk().ref(this.storage, path).toString();
     } else if (this.ref) {
       return this.ref.toString();
     }
-  },
+  }
 
   /**
   *  Sets the metadata of the file
   */
-  setMetadata: function(metadata, path) {
+  setMetadata(metadata, path) {
     if (path) {
-      return this.storage.ref(path).updateMetadata(metadata);
+      return sdk().updateMetadata(sdk().ref(this.storage, path), metadata);
     } else if (this.ref) {
-      return this.ref.updateMetadata(metadata);
+      return sdk().updateMetadata(this.ref, metadata);
     }
     return new Promise(function(resolve, reject) {resolve();});
   }
-});
+}
+
+customElements.define(FirebaseStorageRef.is, FirebaseStorageRef);
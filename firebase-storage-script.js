@@ -1 +1,11 @@
-import 'firebase/firebase-storage.js';
+export {
+  connectStorageEmulator,
+  deleteObject,
+  getDownloadURL,
+  getMetadata,
+  getStorage,
+  ref,
+  updateMetadata,
+  uploadBytesResumable,
+  uploadString
+} from 'firebase/storage';
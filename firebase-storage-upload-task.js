@@ -5,10 +5,8 @@ Use of this source code is governed by a BSD-style
 license that can be found in the LICENSE file or at
 https://github.com/firebase/polymerfire/blob/master/LICENSE
 */
-import '@polymer/polymer/polymer-legacy.js';
-
-import { FirebaseStorageBehavior } from './firebase-storage-behavior.js';
-import { Polymer } from '@polymer/polymer/lib/legacy/polymer-fn.js';
+import { FirebaseStorageMixin } from './firebase-storage-mixin.js';
+import { PolymerElement } from '@polymer/polymer/polymer-element.js';
 
 /**
 * The firebase-storage-upload-task element is an easy way to track upload tasks made
@@ -35,88 +33,88 @@ import { Polymer } from '@polymer/polymer/lib/legacy/polymer-fn.js';
 * Set this configuration by adding a `<firebase-app>` element anywhere in your
 * app.
 */
-Polymer({
-  is: 'firebase-storage-upload-task',
-
-  properties: {
-    /**
-    *  The upload task that is being tracked
-    */
-    task: {
-      type: Object,
-      value: null,
-      observer: '_taskChanged'
-    },
-
-    /**
-    *  Number of bytes transferred
-    */
-    bytesTransferred: {
-      type: Number,
-      notify: true
-    },
-
-    /**
-    *  Total number of bytes of the file
-    */
-    totalBytes: {
-      type: Number,
-      notify: true
-    },
-
-    /**
-    *  The upload task's state
-    */
-    state: {
-      type: Object,
-      notify: true
-    },
-
-    /**
-    *  The download url of the file
-    */
-    downloadUrl: {
-      type: String,
-      notify: true
-    },
-
-    /**
-    *  The metadata of the file
-    */
-    metadata: {
-      type: Object,
-      notify: true
-    },
-
-    /**
-    *  The firebase storage path of the file
-    */
-    path: {
-      type: String,
-      notify: true
-    },
-
-    /**
-    *  The current snapshot of the task
-    */
-    snapshot: {
-      type: Object,
-      notify: true
-    }
-  },
+export class FirebaseStorageUploadTask extends FirebaseStorageMixin(PolymerElement) {
+  static get is() {
+    return 'firebase-storage-upload-task';
+  }
 
-  behaviors: [
-    FirebaseStorageBehavior
-  ],
+  static get properties() {
+    return {
+      /**
+      *  The upload task that is being tracked
+      */
+      task: {
+        type: Object,
+        value: null,
+        observer: '_taskChanged'
+      },
+
+      /**
+      *  Number of bytes transferred
+      */
+      bytesTransferred: {
+        type: Number,
+        notify: true
+      },
+
+      /**
+      *  Total number of bytes of the file
+      */
+      totalBytes: {
+        type: Number,
+        notify: true
+      },
+
+      /**
+      *  The upload task's state
+      */
+      state: {
+        type: Object,
+        notify: true
+      },
+
+      /**
+      *  The download url of the file
+      */
+      downloadUrl: {
+        type: String,
+        notify: true
+      },
+
+      /**
+      *  The metadata of the file
+      */
+      metadata: {
+        type: Object,
+        notify: true
+      },
+
+      /**
+      *  The firebase storage path of the file
+      */
+      path: {
+        type: String,
+        notify: true
+      },
+
+      /**
+      *  The current snapshot of the task
+      */
+      snapshot: {
+        type: Object,
+        notify: true
+      }
+    };
+  }
 
   /**
   * @override
   */
   get zeroValue() {
     return [];
-  },
+  }
 
-  _updateProperties: function(snapshot) {
+  _updateProperties(snapshot) {
     this.state = snapshot.state;
     this.totalBytes = snapshot.totalBytes;
     this.bytesTransferred = snapshot.bytesTransferred;
@@ -124,43 +122,52 @@ Polymer({
     this.metadata = snapshot.metadata;
     this.path = snapshot.ref.fullPath;
     this.snapshot = snapshot;
-  },
+    this._logEvent('upload-progress', {
+      path: this.path,
+      state: snapshot.state,
+      bytesTransferred: snapshot.bytesTransferred,
+      totalBytes: snapshot.totalBytes
+    });
+  }
+
+  _taskChanged(task) {
+    if (!task) {
+      return;
+    }
 
-  _taskChanged: function(task) {
     this._updateProperties(task.snapshot);
-    task.on(firebase.storage.TaskEvent.STATE_CHANGED,
+    task.on('state_changed',
       this._updateProperties.bind(this), function(error) {
         this._updateProperties(task.snapshot)
-        this.fire('error', error, { bubble: false});
+        this.__onError(error, 'upload', task.snapshot.ref.fullPath);
       }.bind(this), function() {
         this._updateProperties(task.snapshot)
       }.bind(this));
-  },
+  }
 
   /**
   *  Cancels the upload
   */
-  cancel: function() {
-    return this.task ? this.task.cancel() : new Promise(function(resolve, reject) {
-      reject('No task included')
-    });
-  },
+  cancel() {
+    return this.task ? this.task.cancel() :
+        this._reject('no-task', 'No task included', 'cancel');
+  }
 
   /**
   *  Resumes a paused upload
   */
-  resume: function() {
-    return this.task ? this.task.resume() : new Promise(function(resolve, reject) {
-      reject('No task included')
-    });
-  },
+  resume() {
+    return this.task ? this.task.resume() :
+        this._reject('no-task', 'No task included', 'resume');
+  }
 
   /**
   *  Pauses the upload
   */
-  pause: function() {
-    return this.task ? this.task.pause() : new Promise(function(resolve, reject) {
-      reject('No task included')
-    });
+  pause() {
+    return this.task ? this.task.pause() :
+        this._reject('no-task', 'No task included', 'pause');
   }
-});
+}
+
+customElements.define(FirebaseStorageUploadTask.is, FirebaseStorageUploadTask);
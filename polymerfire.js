@@ -1,11 +1,21 @@
-import './firebase-app.js';
-import './firebase-auth.js';
-import './firebase-document.js';
-import './firebase-query.js';
-import './firebase-messaging.js';
-import './firebase-storage-multiupload.js';
-import './firebase-storage-upload-task.js';
-import './firebase-storage-ref.js';
+export * from './firebase-app.js';
+export * from './firebase-auth.js';
+export * from './firebase-document.js';
+export * from './firebase-query.js';
+export * from './firebase-connection.js';
+export * from './firebase-presence.js';
+export * from './firebase-firestore-document.js';
+export * from './firebase-firestore-query.js';
+export * from './firebase-function.js';
+export * from './firebase-remote-config.js';
+export * from './firebase-messaging.js';
+export * from './firebase-storage-multiupload.js';
+export * from './firebase-storage-upload-task.js';
+export * from './firebase-storage-ref.js';
+export * from './firebase-error.js';
+export * from './firebase-logger.js';
+export * from './firebase-schema.js';
+export { clearCache } from './firebase-cache.js';
 
 /**
 @license
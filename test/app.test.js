@@ -0,0 +1,58 @@
+import { settle, nextEvent, waitFor } from './helpers/setup.js';
+import { removeElements } from './helpers/elements.js';
+import { afterEach, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../firebase-app.js';
+
+const config = {apiKey: 'key', projectId: 'project'};
+let responses;
+
+beforeEach(() => {
+  responses = [];
+  window.fetch = () => {
+    const response = responses.shift();
+
+    return response instanceof Error ? Promise.reject(response) :
+        Promise.resolve({ok: true, status: 200, json: () => Promise.resolve(response)});
+  };
+});
+
+afterEach(async () => {
+  removeElements();
+  // let the detached elements delete their apps
+  await settle();
+  delete window.fetch;
+});
+
+test('fetches the config again after a failed fetch', async () => {
+  const element = document.createElement('firebase-app');
+  const failed = nextEvent(element, 'error');
+
+  responses.push(new TypeError('Failed to fetch'), config);
+  element.configUrl = '/__/firebase/init.json';
+  document.body.appendChild(element);
+
+  assert.equal((await failed).operation, 'fetchConfig');
+  assert.equal(element.loading, false);
+
+  element.remove();
+  await settle();
+  document.body.appendChild(element);
+
+  await waitFor(() => element.app);
+  assert.deepEqual(element.app.options, config);
+});
+
+test('stops loading when detached while fetching the config', async () => {
+  const element = document.createElement('firebase-app');
+
+  responses.push(config);
+  element.configUrl = '/__/firebase/init.json';
+  document.body.appendChild(element);
+  assert.equal(element.loading, true);
+  element.remove();
+
+  await settle();
+  assert.equal(element.loading, false);
+  assert.equal(element.app, null);
+});
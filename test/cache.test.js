@@ -0,0 +1,38 @@
+import { settle } from './helpers/setup.js';
+import { createDocument, dropApp, removeElements } from './helpers/elements.js';
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { clearCache, readCachedValue } from '../firebase-cache.js';
+import '../firebase-document.js';
+
+afterEach(async () => {
+  removeElements();
+  await clearCache();
+});
+
+test('caches the data read from the server', async () => {
+  await createDocument({notes: {1: {title: 'A'}}}, {cache: true});
+  await settle(150);
+
+  assert.deepEqual(await readCachedValue('[DEFAULT]:/notes/1'), {title: 'A'});
+});
+
+test('doesn\'t cache the data of an app that is gone', async () => {
+  const errors = [];
+  const onError = (event) => errors.push(event.error);
+
+  window.addEventListener('error', onError);
+
+  try {
+    const {app} = await createDocument({notes: {1: {title: 'A'}}},
+        {cache: true});
+
+    dropApp(app);
+    await settle(150);
+  } finally {
+    window.removeEventListener('error', onError);
+  }
+
+  assert.deepEqual(errors, []);
+  assert.equal(await readCachedValue('[DEFAULT]:/notes/1'), undefined);
+});
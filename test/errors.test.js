@@ -0,0 +1,80 @@
+import { nextEvent, waitFor } from './helpers/setup.js';
+import { createApp } from './helpers/fake-database.js';
+import { setFirestore } from './helpers/fake-firestore.js';
+import { createElement, removeElements } from './helpers/elements.js';
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../firebase-auth.js';
+import '../firebase-firestore-document.js';
+
+/**
+ * A Firestore stand-in holding `/notes/1`, whose writes fail with `code`.
+ */
+function createFirestore(code) {
+  const fail = () => Promise.reject(Object.assign(new Error(code), {code}));
+  const doc = (path) => ({
+    path: path.replace(/^\//, ''),
+    get() {
+      return Promise.resolve({exists: () => true, data: () => ({title: 'A'}), ref: this});
+    },
+    set: fail,
+    update: fail,
+    delete: fail,
+    onSnapshot(onNext) {
+      this.get().then(onNext);
+      return () => {};
+    }
+  });
+
+  return {doc, collection: (path) => ({doc: (key) => doc(path + '/' + key)})};
+}
+
+afterEach(removeElements);
+
+test('firebase-auth rejects sign-ins until the auth SDK is loaded', async () => {
+  const {app} = createApp({});
+  const element = document.createElement('firebase-auth');
+
+  element.app = app;
+  element.addEventListener('error', () => {});
+  document.body.appendChild(element);
+
+  // the SDK loads asynchronously, so none of these wait for it
+  const signIns = [
+    element.signInWithPopup('google'),
+    element.signInWithRedirect(),
+    element.signInWithEmailAndPassword('a@example.com', 'secret'),
+    element.createUserWithEmailAndPassword('a@example.com', 'secret'),
+    element.sendPasswordResetEmail('a@example.com')
+  ];
+
+  for (const signIn of signIns) {
+    await assert.rejects(signIn, {code: 'no-app'});
+  }
+});
+
+test('firebase-firestore-document reports failed writes', async () => {
+  const {element, app} = createElement('firebase-firestore-document', {});
+
+  setFirestore(app, createFirestore('permission-denied'));
+  await waitFor(() => element.data && element.data.title === 'A');
+
+  const reported = nextEvent(element, 'error');
+
+  element.set('data.title', 'B');
+
+  assert.equal((await reported).code, 'permission-denied');
+  assert.equal(element.lastError.operation, 'write');
+  assert.equal(element.lastError.path, '/notes/1');
+  await assert.rejects(element.destroy(), {code: 'permission-denied'});
+});
+
+test('firebase-firestore-document rejects writes without an app', async () => {
+  const element = document.createElement('firebase-firestore-document');
+
+  element.addEventListener('error', () => {});
+  document.body.appendChild(element);
+
+  await assert.rejects(element.saveValue('/notes', '1'), {code: 'no-app'});
+  await assert.rejects(element.destroy(), {code: 'no-app'});
+});
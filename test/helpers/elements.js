@@ -0,0 +1,57 @@
+/**
+ * Attaches elements to apps backed by a `FakeDatabase`.
+ */
+import { waitFor } from './setup.js';
+import { apps } from './fake-app.js';
+import { createApp } from './fake-database.js';
+import { markAppDeleting } from '../../firebase-app-registry.js';
+
+/**
+ * Attaches a `tagName` element for `/notes/1` of a new app holding `data`.
+ * `properties` are set before it attaches, and may override `path`.
+ *
+ * `error` events are expected; check `lastError` or the events of the
+ * operation instead.
+ */
+export function createElement(tagName, data, properties = {}) {
+  const {app, database} = createApp(data);
+  const element = document.createElement(tagName);
+
+  element.app = app;
+  element.path = '/notes/1';
+  Object.assign(element, properties);
+  element.addEventListener('error', () => {});
+  document.body.appendChild(element);
+
+  return {element, database, app};
+}
+
+/**
+ * Attaches a `firebase-document` like `createElement()`, and resolves once
+ * it shows the stored value.
+ */
+export async function createDocument(data, properties) {
+  const result = createElement('firebase-document', data, properties);
+
+  await waitFor(() => result.element.data && result.element.data.title !== undefined);
+
+  return result;
+}
+
+/**
+ * Drops `app` from the elements using it, as `firebase-app` does before it
+ * deletes the app.
+ */
+export function dropApp(app) {
+  markAppDeleting(app);
+  window.dispatchEvent(new CustomEvent('firebase-app-deleting',
+      {detail: {name: app.name}}));
+}
+
+/**
+ * Removes the elements and apps of a test. Use it with `afterEach()`.
+ */
+export function removeElements() {
+  document.body.innerHTML = '';
+  apps.length = 0;
+}
@@ -0,0 +1,27 @@
+/**
+ * A stand-in for `firebase/app`, keeping the apps in memory.
+ */
+
+/** The apps that are alive, as `getApps()` returns them. */
+export const apps = [];
+
+export function initializeApp(options, name = '[DEFAULT]') {
+  const app = {name, options};
+
+  apps.push(app);
+  return app;
+}
+
+export function getApps() {
+  return apps.slice();
+}
+
+export function deleteApp(app) {
+  const index = apps.indexOf(app);
+
+  if (index >= 0) {
+    apps.splice(index, 1);
+  }
+
+  return Promise.resolve();
+}
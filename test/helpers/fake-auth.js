@@ -0,0 +1,49 @@
+/**
+ * A stand-in for `firebase/auth` with no signed-in user. Sign-ins fail, as
+ * there is no backend to talk to.
+ */
+
+function unavailable() {
+  return Promise.reject(
+      Object.assign(new Error('Not available in tests'), {code: 'auth/internal-error'}));
+}
+
+class FakeAuthProvider {}
+
+export class FacebookAuthProvider extends FakeAuthProvider {}
+export class GithubAuthProvider extends FakeAuthProvider {}
+export class GoogleAuthProvider extends FakeAuthProvider {}
+export class TwitterAuthProvider extends FakeAuthProvider {}
+
+const instances = new WeakMap();
+
+export function getAuth(app) {
+  if (!instances.has(app)) {
+    instances.set(app, {app, currentUser: null});
+  }
+
+  return instances.get(app);
+}
+
+export function connectAuthEmulator() {}
+
+export function onAuthStateChanged(auth, next) {
+  Promise.resolve().then(() => next(auth.currentUser));
+  return () => {};
+}
+
+export {
+  unavailable as createUserWithEmailAndPassword,
+  unavailable as sendPasswordResetEmail,
+  unavailable as signInAnonymously,
+  unavailable as signInWithCredential,
+  unavailable as signInWithCustomToken,
+  unavailable as signInWithEmailAndPassword,
+  unavailable as signInWithPopup,
+  unavailable as signInWithRedirect
+};
+
+export function signOut(auth) {
+  auth.currentUser = null;
+  return Promise.resolve();
+}
@@ -0,0 +1,483 @@
+/**
+ * An in-memory stand-in for `firebase/database`, covering what the elements
+ * use. Writes are applied when they commit, which happens on the next
+ * microtask unless `holdWrites` is set.
+ */
+import { apps } from './fake-app.js';
+
+const ROOT_URL = 'https://fake.firebaseio.com/';
+
+function clone(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+function segmentsOf(path) {
+  return String(path || '').split('/').filter(Boolean);
+}
+
+function isObject(value) {
+  return value != null && typeof value === 'object';
+}
+
+/**
+ * Removes null children and empty objects, as the database does.
+ */
+function prune(value) {
+  if (!isObject(value)) {
+    return value === undefined ? null : value;
+  }
+
+  const result = {};
+
+  for (const key of Object.keys(value)) {
+    const child = prune(value[key]);
+
+    if (child != null) {
+      result[key] = child;
+    }
+  }
+
+  return Object.keys(result).length ? result : null;
+}
+
+function resolveServerValues(value, current) {
+  if (!isObject(value)) {
+    return value;
+  }
+
+  if (value['.sv'] === 'timestamp') {
+    return Date.now();
+  }
+
+  if (isObject(value['.sv']) && 'increment' in value['.sv']) {
+    return (typeof current === 'number' ? current : 0) +
+        value['.sv'].increment;
+  }
+
+  const result = {};
+
+  for (const key of Object.keys(value)) {
+    result[key] = resolveServerValues(value[key],
+        isObject(current) ? current[key] : undefined);
+  }
+
+  return result;
+}
+
+export class FakeSnapshot {
+  constructor(ref, value) {
+    this.ref = ref;
+    this.key = ref.key;
+    this.__value = value == null ? null : value;
+  }
+
+  val() {
+    return clone(this.__value);
+  }
+
+  exists() {
+    return this.__value != null;
+  }
+
+  hasChildren() {
+    return isObject(this.__value);
+  }
+
+  get size() {
+    return isObject(this.__value) ? Object.keys(this.__value).length : 0;
+  }
+
+  child(path) {
+    let value = this.__value;
+
+    for (const key of segmentsOf(path)) {
+      value = isObject(value) ? value[key] : null;
+    }
+
+    return new FakeSnapshot(this.ref.child(path), value);
+  }
+
+  forEach(callback) {
+    if (!isObject(this.__value)) {
+      return false;
+    }
+
+    return Object.keys(this.__value).sort().some((key) => {
+      return callback(this.child(key)) === true;
+    });
+  }
+}
+
+class FakeOnDisconnect {
+  constructor(ref) {
+    this.__ref = ref;
+  }
+
+  set(value) {
+    return this.__register('set', value);
+  }
+
+  update(values) {
+    return this.__register('update', values);
+  }
+
+  remove() {
+    return this.__register('remove');
+  }
+
+  cancel() {
+    const db = this.__ref.database;
+    const path = this.__ref.path;
+
+    db.disconnectOps = db.disconnectOps.filter((op) => {
+      return op.path !== path && op.path.indexOf(path === '/' ? '/' : path + '/') !== 0;
+    });
+
+    return Promise.resolve();
+  }
+
+  __register(type, value) {
+    this.__ref.database.disconnectOps.push(
+        {path: this.__ref.path, type: type, value: clone(value)});
+    return Promise.resolve();
+  }
+}
+
+export class FakeRef {
+  constructor(database, path) {
+    this.database = database;
+    this.path = '/' + segmentsOf(path).join('/');
+    this.key = this.path === '/' ? null : segmentsOf(path).pop();
+  }
+
+  get ref() {
+    return this;
+  }
+
+  get root() {
+    return new FakeRef(this.database, '/');
+  }
+
+  get parent() {
+    return this.path === '/' ? null :
+        new FakeRef(this.database, segmentsOf(this.path).slice(0, -1).join('/'));
+  }
+
+  toString() {
+    return ROOT_URL + segmentsOf(this.path).map(encodeURIComponent).join('/');
+  }
+
+  isEqual(other) {
+    return !!other && other.database === this.database && other.path === this.path;
+  }
+
+  child(path) {
+    return new FakeRef(this.database, this.path + '/' + path);
+  }
+
+  push() {
+    return this.child('-key' + String(++this.database.pushCount).padStart(4, '0'));
+  }
+
+  on(eventType, callback, cancelCallback, context) {
+    this.database.listeners.push({
+      ref: this,
+      eventType: eventType,
+      callback: callback,
+      context: context,
+      value: undefined
+    });
+    Promise.resolve().then(() => this.database.notify());
+    return callback;
+  }
+
+  off(eventType, callback, context) {
+    this.database.listeners = this.database.listeners.filter((listener) => {
+      return !(listener.ref.path === this.path &&
+          (!eventType || listener.eventType === eventType) &&
+          (!callback || listener.callback === callback) &&
+          (!context || listener.context === context));
+    });
+  }
+
+  once(eventType, callback, cancelCallback, context) {
+    const snapshot = this.database.snapshot(this);
+
+    if (callback) {
+      Promise.resolve().then(() => callback.call(context, snapshot));
+    }
+
+    return Promise.resolve(snapshot);
+  }
+
+  set(value) {
+    return this.database.write({type: 'set', path: this.path, value: clone(value)},
+        () => this.database.setValue(this.path, value));
+  }
+
+  remove() {
+    return this.set(null);
+  }
+
+  update(values) {
+    return this.database.write(
+        {type: 'update', path: this.path, value: clone(values)}, () => {
+          for (const path of Object.keys(values)) {
+            this.database.setValue(this.path + '/' + path, values[path]);
+          }
+        });
+  }
+
+  transaction(updateFunction) {
+    const write = {type: 'transaction', path: this.path, value: undefined};
+    let committed = false;
+
+    return this.database.write(write, () => {
+      const result = updateFunction(this.database.getValue(this.path));
+
+      committed = result !== undefined;
+      write.value = clone(result);
+
+      if (committed) {
+        this.database.setValue(this.path, result);
+      }
+    }).then(() => {
+      return {committed: committed, snapshot: this.database.snapshot(this)};
+    });
+  }
+
+  onDisconnect() {
+    return new FakeOnDisconnect(this);
+  }
+}
+
+export class FakeDatabase {
+  constructor(data) {
+    this.data = prune(clone(data));
+    this.connected = true;
+    this.listeners = [];
+    /** Every write sent to the database, in order. */
+    this.writes = [];
+    /** The operations registered with `onDisconnect()`. */
+    this.disconnectOps = [];
+    /** When set, writes are rejected with an error with this code. */
+    this.failWith = null;
+    /** When true, writes wait for `commitWrites()`. */
+    this.holdWrites = false;
+    this.heldWrites = [];
+    this.pushCount = 0;
+  }
+
+  ref(path) {
+    return new FakeRef(this, path);
+  }
+
+  getValue(path) {
+    if (path === '/.info/connected') {
+      return this.connected;
+    }
+
+    let value = this.data;
+
+    for (const key of segmentsOf(path)) {
+      value = isObject(value) ? value[key] : null;
+    }
+
+    return clone(value);
+  }
+
+  /**
+   * Writes a value at `path` as another client would.
+   */
+  setValue(path, value) {
+    const segments = segmentsOf(path);
+    const root = {value: clone(this.data)};
+    let parent = root;
+    let key = 'value';
+
+    for (const segment of segments) {
+      if (!isObject(parent[key])) {
+        parent[key] = {};
+      }
+
+      parent = parent[key];
+      key = segment;
+    }
+
+    parent[key] = resolveServerValues(clone(value), parent[key]);
+    this.data = prune(root.value);
+    this.notify();
+  }
+
+  setConnected(connected) {
+    this.connected = connected;
+    this.notify();
+  }
+
+  snapshot(ref) {
+    return new FakeSnapshot(ref, this.getValue(ref.path));
+  }
+
+  /**
+   * Calls the `value` listeners whose value changed.
+   */
+  notify() {
+    for (const listener of this.listeners.slice()) {
+      if (listener.eventType !== 'value' || !this.listeners.includes(listener)) {
+        continue;
+      }
+
+      const value = JSON.stringify(this.getValue(listener.ref.path));
+
+      if (value !== listener.value) {
+        listener.value = value;
+        listener.callback.call(listener.context, this.snapshot(listener.ref));
+      }
+    }
+  }
+
+  write(description, apply) {
+    this.writes.push(description);
+
+    return new Promise((resolve, reject) => {
+      const commit = () => {
+        if (this.failWith) {
+          const error = new Error('Write failed: ' + this.failWith);
+          error.code = this.failWith;
+          reject(error);
+          return;
+        }
+
+        apply();
+        resolve();
+      };
+
+      if (this.holdWrites) {
+        this.heldWrites.push(commit);
+      } else {
+        Promise.resolve().then(commit);
+      }
+    });
+  }
+
+  /**
+   * Commits the writes held while `holdWrites` was true.
+   */
+  commitWrites() {
+    const writes = this.heldWrites;
+
+    this.holdWrites = false;
+    this.heldWrites = [];
+    writes.forEach((commit) => commit());
+  }
+}
+
+const databases = new WeakMap();
+
+/**
+ * Creates an app whose database is a `FakeDatabase`, and registers it with
+ * the fake `firebase/app`.
+ */
+export function createApp(data, name = '[DEFAULT]') {
+  const database = new FakeDatabase(data);
+  const app = {name: name, options: {}};
+
+  databases.set(app, database);
+  apps.push(app);
+  return {app, database};
+}
+
+export function getDatabase(app) {
+  if (!databases.has(app)) {
+    databases.set(app, new FakeDatabase(null));
+  }
+
+  return databases.get(app);
+}
+
+export function connectDatabaseEmulator() {}
+
+export function goOnline(database) {
+  database.setConnected(true);
+}
+
+export function goOffline(database) {
+  database.setConnected(false);
+}
+
+export function ref(database, path) {
+  return database.ref(path);
+}
+
+export function child(parent, path) {
+  return parent.child(path);
+}
+
+export function push(parent) {
+  return parent.push();
+}
+
+export function set(ref, value) {
+  return ref.set(value);
+}
+
+export function update(ref, values) {
+  return ref.update(values);
+}
+
+export function remove(ref) {
+  return ref.remove();
+}
+
+export function get(query) {
+  return query.once('value');
+}
+
+export function runTransaction(ref, updateFunction) {
+  return ref.transaction(updateFunction);
+}
+
+export function onDisconnect(ref) {
+  return ref.onDisconnect();
+}
+
+function listen(eventType) {
+  return (query, callback, cancelCallback) => {
+    query.on(eventType, callback, cancelCallback);
+    return () => query.off(eventType, callback);
+  };
+}
+
+export const onValue = listen('value');
+export const onChildAdded = listen('child_added');
+export const onChildChanged = listen('child_changed');
+export const onChildMoved = listen('child_moved');
+export const onChildRemoved = listen('child_removed');
+
+// query constraints are ignored: a query reads all children by key
+export function query(ref) {
+  return ref;
+}
+
+function constraint() {
+  return {};
+}
+
+export {
+  constraint as endAt,
+  constraint as equalTo,
+  constraint as limitToFirst,
+  constraint as limitToLast,
+  constraint as orderByChild,
+  constraint as orderByKey,
+  constraint as orderByValue,
+  constraint as startAt
+};
+
+export function serverTimestamp() {
+  return {'.sv': 'timestamp'};
+}
+
+export function increment(delta) {
+  return {'.sv': {increment: delta}};
+}
@@ -0,0 +1,71 @@
+/**
+ * A stand-in for `firebase/firestore` that forwards its functions to the
+ * Firestore stand-in a test set for the app with `setFirestore()`. Query
+ * constraints are ignored.
+ */
+
+const firestores = new WeakMap();
+
+/**
+ * Makes `getFirestore(app)` return `firestore`, an object with `doc(path)`
+ * and `collection(path)` methods, whose references implement `get()`,
+ * `set()`, `update()`, `delete()` and `onSnapshot()`.
+ */
+export function setFirestore(app, firestore) {
+  firestores.set(app, firestore);
+}
+
+export function getFirestore(app) {
+  return firestores.get(app) || null;
+}
+
+export function collection(firestore, path) {
+  return Object.assign({type: 'collection'}, firestore.collection(path));
+}
+
+export function doc(parent, path) {
+  if (parent.type === 'collection') {
+    return parent.doc(path === undefined ? 'auto-id' : path);
+  }
+
+  return parent.doc(path);
+}
+
+export function getDoc(ref) {
+  return ref.get();
+}
+
+export function setDoc(ref, value) {
+  return ref.set(value);
+}
+
+export function updateDoc(ref, field, value) {
+  return ref.update(field, value);
+}
+
+export function deleteDoc(ref) {
+  return ref.delete();
+}
+
+export function onSnapshot(ref, next, error) {
+  return ref.onSnapshot(next, error);
+}
+
+export function query(ref) {
+  return ref;
+}
+
+function constraint() {
+  return {};
+}
+
+export {
+  constraint as endAt,
+  constraint as endBefore,
+  constraint as limit,
+  constraint as limitToLast,
+  constraint as orderBy,
+  constraint as startAfter,
+  constraint as startAt,
+  constraint as where
+};
@@ -0,0 +1,76 @@
+/**
+ * A minimal stand-in for the Web Locks API (`navigator.locks`), supporting
+ * exclusive locks only. Locks of other pages can be simulated with `hold()`.
+ */
+export class FakeLockManager {
+  constructor() {
+    this.held = [];
+    this.pending = [];
+  }
+
+  request(name, options, callback) {
+    callback = callback || options;
+
+    return new Promise((resolve, reject) => {
+      this.pending.push({name, grant: () => {
+        this.held.push({name});
+        Promise.resolve().then(() => callback({name})).then((result) => {
+          this.release(name);
+          resolve(result);
+        }, (error) => {
+          this.release(name);
+          reject(error);
+        });
+      }});
+      this.grant();
+    });
+  }
+
+  query() {
+    return Promise.resolve({
+      held: this.held.map((lock) => ({name: lock.name, mode: 'exclusive'})),
+      pending: this.pending.map((lock) => ({name: lock.name, mode: 'exclusive'}))
+    });
+  }
+
+  /**
+   * Holds the lock `name` until the returned function is called, as
+   * another page would.
+   */
+  hold(name) {
+    let release;
+
+    this.request(name, () => new Promise((resolve) => {
+      release = resolve;
+    }));
+    return () => release();
+  }
+
+  release(name) {
+    this.held.splice(this.held.findIndex((lock) => lock.name === name), 1);
+    this.grant();
+  }
+
+  grant() {
+    for (const lock of this.pending.slice()) {
+      if (!this.held.some((held) => held.name === lock.name)) {
+        this.pending.splice(this.pending.indexOf(lock), 1);
+        lock.grant();
+      }
+    }
+  }
+}
+
+/**
+ * Installs a `FakeLockManager` as `navigator.locks`.
+ */
+export function installLocks() {
+  const locks = new FakeLockManager();
+
+  Object.defineProperty(window.navigator, 'locks', {
+    value: locks,
+    configurable: true
+  });
+
+  return locks;
+}
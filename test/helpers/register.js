@@ -0,0 +1,7 @@
+/**
+ * Points the imports of the Firebase SDK at the fakes in this directory.
+ * Load it with `node --import` before the tests.
+ */
+import { register } from 'node:module';
+
+register('./resolve-fakes.js', import.meta.url);
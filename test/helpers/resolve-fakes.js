@@ -0,0 +1,18 @@
+/**
+ * Module resolve hook that serves the fakes of this directory in place of
+ * the Firebase SDK modules the elements import.
+ */
+const fakes = {
+  'firebase/app': './fake-app.js',
+  'firebase/auth': './fake-auth.js',
+  'firebase/database': './fake-database.js',
+  'firebase/firestore': './fake-firestore.js'
+};
+
+export async function resolve(specifier, context, nextResolve) {
+  if (fakes[specifier]) {
+    return {url: new URL(fakes[specifier], import.meta.url).href, shortCircuit: true};
+  }
+
+  return nextResolve(specifier, context);
+}
@@ -0,0 +1,59 @@
+/**
+ * Runs the elements in jsdom, with IndexedDB from fake-indexeddb. Import it
+ * before the elements. The Firebase SDK is replaced by the fakes that
+ * `register.js` resolves.
+ */
+import { JSDOM } from 'jsdom';
+import 'fake-indexeddb/auto';
+
+const dom = new JSDOM('<!doctype html><html><head></head><body></body></html>', {
+  url: 'http://localhost/',
+  pretendToBeVisual: true
+});
+
+dom.window.indexedDB = globalThis.indexedDB;
+dom.window.IDBKeyRange = globalThis.IDBKeyRange;
+
+// Node has its own versions of some of these
+const domGlobals = ['Event', 'CustomEvent', 'EventTarget', 'navigator'];
+
+for (const key of Object.getOwnPropertyNames(dom.window)) {
+  if (!(key in globalThis) || domGlobals.includes(key)) {
+    globalThis[key] = dom.window[key];
+  }
+}
+globalThis.window = dom.window;
+// Polymer defines this on `window`, but reads it as a global
+globalThis.JSCompiler_renameProperty = (prop) => prop;
+
+/**
+ * Resolves once pending microtasks and timers of `ms` milliseconds ran.
+ */
+export function settle(ms = 0) {
+  return new Promise((resolve) => setTimeout(resolve, ms + 1));
+}
+
+/**
+ * Resolves with the detail of the next `type` event fired by `element`.
+ */
+export function nextEvent(element, type) {
+  return new Promise((resolve) => {
+    element.addEventListener(type, (event) => resolve(event.detail), {once: true});
+  });
+}
+
+/**
+ * Resolves once `predicate` returns true, checking it every few
+ * milliseconds.
+ */
+export async function waitFor(predicate, timeout = 2000) {
+  const start = Date.now();
+
+  while (!predicate()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('Timed out waiting for ' + predicate);
+    }
+
+    await settle(5);
+  }
+}
@@ -0,0 +1,49 @@
+import { settle, waitFor } from './helpers/setup.js';
+import { createDocument, removeElements } from './helpers/elements.js';
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../firebase-document.js';
+
+afterEach(removeElements);
+
+test('writes only the fields that changed', async () => {
+  const {element, database} = await createDocument(
+      {notes: {1: {title: 'A', body: 'Text', tags: {a: true}}}});
+
+  element.data = {title: 'B', body: 'Text', tags: {a: true, b: true}};
+  await waitFor(() => database.writes.length > 0);
+  await settle();
+
+  assert.deepEqual(database.writes, [{
+    type: 'update',
+    path: '/',
+    value: {'/notes/1/title': 'B', '/notes/1/tags/b': true}
+  }]);
+});
+
+test('doesn\'t overwrite fields changed by another client', async () => {
+  const {element, database} = await createDocument(
+      {notes: {1: {title: 'A', body: 'Text'}}});
+
+  database.holdWrites = true;
+  element.set('data.title', 'Local');
+  await waitFor(() => database.heldWrites.length === 1);
+  database.setValue('/notes/1/body', 'Remote');
+  database.commitWrites();
+  await settle();
+
+  assert.deepEqual(database.getValue('/notes/1'), {title: 'Local', body: 'Remote'});
+  await waitFor(() => element.data.body === 'Remote');
+});
+
+test('removes the fields that were removed from data', async () => {
+  const {element, database} = await createDocument(
+      {notes: {1: {title: 'A', body: 'Text'}}});
+
+  element.data = {title: 'A'};
+  await waitFor(() => database.writes.length > 0);
+  await settle();
+
+  assert.deepEqual(database.writes[0].value, {'/notes/1/body': null});
+  assert.deepEqual(database.getValue('/notes/1'), {title: 'A'});
+});
@@ -0,0 +1,57 @@
+import { settle, waitFor } from './helpers/setup.js';
+import { createApp } from './helpers/fake-database.js';
+import { createDocument, createElement, removeElements } from './helpers/elements.js';
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../firebase-document.js';
+import '../firebase-query.js';
+
+afterEach(removeElements);
+
+test('reads the document once with the once attribute', async () => {
+  const {app, database} = createApp({notes: {1: {title: 'A'}}});
+
+  document.body.innerHTML =
+      '<firebase-document path="/notes/1" once></firebase-document>';
+
+  const element = document.body.firstChild;
+
+  element.app = app;
+  await waitFor(() => element.data && element.data.title === 'A');
+
+  assert.equal(element.loading, false);
+  assert.deepEqual(database.listeners, []);
+
+  database.setValue('/notes/1/title', 'B');
+  await settle(20);
+  assert.equal(element.data.title, 'A');
+
+  await element.refresh();
+  await waitFor(() => element.data.title === 'B');
+});
+
+test('polls the document every pollInterval', async () => {
+  const {element, database} = await createDocument(
+      {notes: {1: {title: 'A'}}}, {once: true, pollInterval: 20});
+
+  database.setValue('/notes/1/title', 'B');
+  await waitFor(() => element.data.title === 'B');
+
+  element.remove();
+  database.setValue('/notes/1/title', 'C');
+  await settle(50);
+  assert.equal(element.data.title, 'B');
+});
+
+test('reads the query results once', async () => {
+  const {element, database} = createElement('firebase-query',
+      {notes: {1: {title: 'A'}, 2: {title: 'B'}}}, {path: '/notes', once: true});
+
+  await waitFor(() => element.data.length === 2);
+  assert.deepEqual(element.data.map((note) => note.$key), ['1', '2']);
+  assert.deepEqual(database.listeners, []);
+
+  database.setValue('/notes/3', {title: 'C'});
+  await element.refresh();
+  await waitFor(() => element.data.length === 3);
+});
@@ -0,0 +1,134 @@
+import { settle, nextEvent, waitFor } from './helpers/setup.js';
+import { createDocument, createElement, removeElements } from './helpers/elements.js';
+import { installLocks } from './helpers/fake-locks.js';
+import { afterEach, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readCachedValue } from '../firebase-cache.js';
+import '../firebase-document.js';
+
+const DATABASE_URL = 'https://fake.firebaseio.com/';
+
+let locks;
+
+/**
+ * Runs `operation` on the outbox store that firebase-cache.js created.
+ */
+async function withOutbox(mode, operation) {
+  // opens, and creates, the database
+  await readCachedValue('unused');
+
+  const database = await new Promise((resolve, reject) => {
+    const request = indexedDB.open('polymerfire');
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = database.transaction('outbox', mode);
+      const request = operation(transaction.objectStore('outbox'));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } finally {
+    database.close();
+  }
+}
+
+function readEntries() {
+  return withOutbox('readonly', (store) => store.getAll());
+}
+
+function addEntries(entries) {
+  return withOutbox('readwrite', (store) => {
+    let request;
+
+    for (const entry of entries) {
+      request = store.add(Object.assign({
+        app: '[DEFAULT]',
+        database: DATABASE_URL,
+        createdAt: Date.now()
+      }, entry));
+    }
+
+    return request;
+  });
+}
+
+beforeEach(async () => {
+  locks = installLocks();
+  await withOutbox('readwrite', (store) => store.clear());
+});
+
+afterEach(removeElements);
+
+test('keeps a write in the outbox until it is confirmed', async () => {
+  const {element, database} = await createDocument({notes: {1: {title: 'A'}}},
+      {outbox: true});
+
+  database.holdWrites = true;
+  element.set('data.title', 'B');
+  await waitFor(() => database.heldWrites.length === 1);
+  await settle(20);
+
+  const entries = await readEntries();
+
+  assert.equal(entries.length, 1);
+  assert.deepEqual(entries[0].updates, {'/notes/1/title': 'B'});
+  assert.equal(entries[0].database, DATABASE_URL);
+  assert.ok(locks.held.some(
+      (lock) => lock.name === 'polymerfire-session:' + entries[0].session));
+
+  database.commitWrites();
+  await settle(20);
+
+  assert.deepEqual(await readEntries(), []);
+});
+
+test('replays the writes of closed pages in order', async () => {
+  const releaseLivePage = locks.hold('polymerfire-session:live');
+
+  await addEntries([
+    {session: 'closed', path: '/notes/1/title', value: 'First'},
+    {session: 'live', path: '/notes/1/body', value: 'Not mine'},
+    {session: 'closed', path: '/notes/1/body', value: 'Other project',
+      database: 'https://other.firebaseio.com/'},
+    {session: 'closed', updates: {'/notes/1/title': 'Second', '/notes/2/title': 'Other'}}
+  ]);
+
+  const {element, database} = createElement('firebase-document',
+      {notes: {1: {title: 'A'}}}, {outbox: true});
+  const replayed = [];
+
+  element.addEventListener('write-replayed', (event) => replayed.push(event.detail.path));
+  await waitFor(() => replayed.length === 2);
+  await settle(20);
+
+  assert.deepEqual(replayed, ['/notes/1/title', '/notes']);
+  assert.deepEqual(database.writes.map((write) => write.type), ['set', 'update']);
+  assert.deepEqual(database.getValue('/notes'),
+      {1: {title: 'Second'}, 2: {title: 'Other'}});
+
+  const entries = await readEntries();
+
+  assert.deepEqual(entries.map((entry) => entry.value),
+      ['Not mine', 'Other project']);
+  releaseLivePage();
+});
+
+test('reports a replayed write that fails and drops it', async () => {
+  await addEntries([{session: 'closed', path: '/notes/1/title', value: 'X'}]);
+
+  const {element, database} = createElement('firebase-document',
+      {notes: {1: {title: 'A'}}}, {outbox: true});
+
+  database.failWith = 'PERMISSION_DENIED';
+
+  const detail = await nextEvent(element, 'write-replay-failed');
+
+  assert.equal(detail.path, '/notes/1/title');
+  assert.equal(detail.error.code, 'permission-denied');
+  await settle(20);
+  assert.deepEqual(await readEntries(), []);
+});
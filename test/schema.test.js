@@ -0,0 +1,110 @@
+import { settle, nextEvent, waitFor } from './helpers/setup.js';
+import { createDocument, removeElements } from './helpers/elements.js';
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateValue } from '../firebase-schema.js';
+import '../firebase-document.js';
+
+const noteSchema = {
+  type: 'object',
+  required: ['title'],
+  properties: {
+    title: {type: 'string', minLength: 1},
+    body: {type: 'string'},
+    stars: {type: 'integer', minimum: 0},
+    updatedAt: {type: 'number'}
+  },
+  additionalProperties: false
+};
+
+afterEach(removeElements);
+
+test('validateValue reports each invalid field', () => {
+  const errors = validateValue(noteSchema,
+      {title: '', stars: 1.5, color: 'red'}, '/notes/1');
+
+  assert.deepEqual(errors.map((error) => [error.path, error.keyword]), [
+    ['/notes/1/title', 'minLength'],
+    ['/notes/1/stars', 'type'],
+    ['/notes/1/color', 'additionalProperties']
+  ]);
+});
+
+test('validateValue treats null properties as missing', () => {
+  assert.deepEqual(validateValue(noteSchema, {title: 'A', body: null}, '/n'), []);
+  assert.deepEqual(
+      validateValue(noteSchema, {title: null}, '/n').map((error) => error.keyword),
+      ['required']);
+});
+
+test('validateValue accepts server value sentinels as numbers', () => {
+  assert.deepEqual(validateValue(noteSchema,
+      {title: 'A', stars: {$increment: 1}, updatedAt: {$serverTimestamp: true}},
+      '/n'), []);
+});
+
+test('does not send a write that does not match the schema', async () => {
+  const {element, database} = await createDocument({notes: {1: {title: 'A'}}},
+      {schema: noteSchema});
+  const invalid = nextEvent(element, 'validation-error');
+
+  element.set('data.stars', -1);
+
+  const detail = await invalid;
+
+  assert.equal(detail.path, '/notes/1/stars');
+  assert.deepEqual(detail.errors.map((error) => error.keyword), ['minimum']);
+  await settle();
+  assert.deepEqual(database.writes, []);
+  assert.equal(element.lastError.code, 'invalid-value');
+});
+
+test('sends a delete of an optional field', async () => {
+  const {element, database} = await createDocument(
+      {notes: {1: {title: 'A', body: 'Text'}}}, {schema: noteSchema});
+
+  element.set('data.body', null);
+  await waitFor(() => database.writes.length === 1);
+  await settle();
+
+  assert.equal(database.getValue('/notes/1/body'), null);
+});
+
+test('does not send a delete of a required field', async () => {
+  const {element, database} = await createDocument({notes: {1: {title: 'A'}}},
+      {schema: noteSchema});
+  const invalid = nextEvent(element, 'validation-error');
+
+  element.set('data.title', null);
+
+  const detail = await invalid;
+
+  assert.deepEqual(detail.errors,
+      [{path: '/notes/1/title', keyword: 'required', message: 'is required'}]);
+  await settle();
+  assert.deepEqual(database.writes, []);
+});
+
+test('sends a delete of the whole document', async () => {
+  const {element, database} = await createDocument({notes: {1: {title: 'A'}}},
+      {schema: noteSchema});
+
+  await element.destroy();
+
+  assert.deepEqual(database.writes,
+      [{type: 'set', path: '/notes/1', value: null}]);
+  assert.equal(database.getValue('/notes/1'), null);
+});
+
+test('validates a document saved to a new location', async () => {
+  const {element, database} = await createDocument({notes: {1: {title: 'A'}}},
+      {schema: noteSchema});
+
+  element.set('data.color', 'red');
+  await nextEvent(element, 'validation-error');
+  await assert.rejects(element.saveValue('/notes', '2'), {code: 'invalid-value'});
+  await settle();
+
+  assert.deepEqual(database.writes, []);
+  assert.equal(database.getValue('/notes/2'), null);
+});
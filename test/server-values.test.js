@@ -0,0 +1,32 @@
+import { waitFor } from './helpers/setup.js';
+import { createDocument, removeElements } from './helpers/elements.js';
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../firebase-document.js';
+
+afterEach(removeElements);
+
+test('writes a server timestamp and shows the resolved value', async () => {
+  const {element, database} = await createDocument({notes: {1: {title: 'A'}}});
+  const before = Date.now();
+
+  element.set('data.updatedAt', {$serverTimestamp: true});
+  await waitFor(() => typeof element.data.updatedAt === 'number');
+
+  assert.deepEqual(database.writes[0].value,
+      {'/notes/1/updatedAt': {'.sv': 'timestamp'}});
+  assert.ok(element.data.updatedAt >= before);
+  assert.equal(database.getValue('/notes/1/updatedAt'), element.data.updatedAt);
+});
+
+test('increments a number on the server', async () => {
+  const {element, database} = await createDocument(
+      {notes: {1: {title: 'A', views: 4}}});
+
+  database.setValue('/notes/1/views', 5);
+  await waitFor(() => element.data.views === 5);
+  element.set('data.views', {$increment: 2});
+  await waitFor(() => element.data.views === 7);
+
+  assert.equal(database.getValue('/notes/1/views'), 7);
+});
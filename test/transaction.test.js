@@ -0,0 +1,41 @@
+import { nextEvent, waitFor } from './helpers/setup.js';
+import { createDocument, removeElements } from './helpers/elements.js';
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../firebase-document.js';
+
+afterEach(removeElements);
+
+test('commits a transaction at a path within the document', async () => {
+  const {element, database} = await createDocument(
+      {notes: {1: {title: 'A', stars: 1}}});
+
+  const result = await element.transaction((stars) => (stars || 0) + 1, 'stars');
+
+  assert.equal(result.committed, true);
+  assert.equal(result.snapshot.val(), 2);
+  assert.equal(database.getValue('/notes/1/stars'), 2);
+  await waitFor(() => element.data.stars === 2);
+  assert.deepEqual(database.writes,
+      [{type: 'transaction', path: '/notes/1/stars', value: 2}]);
+});
+
+test('fires transaction-aborted when the update function aborts', async () => {
+  const {element, database} = await createDocument({notes: {1: {title: 'A'}}});
+  const aborted = nextEvent(element, 'transaction-aborted');
+
+  const result = await element.transaction(() => undefined);
+
+  assert.equal(result.committed, false);
+  assert.equal((await aborted).path, '/notes/1');
+  assert.deepEqual(database.getValue('/notes/1'), {title: 'A'});
+});
+
+test('rejects a transaction without a path', async () => {
+  const {element} = await createDocument({notes: {1: {title: 'A'}}});
+
+  element.path = null;
+
+  await assert.rejects(element.transaction((value) => value),
+      {code: 'no-path'});
+});
@@ -0,0 +1,104 @@
+import { settle, nextEvent, waitFor } from './helpers/setup.js';
+import { createDocument, removeElements } from './helpers/elements.js';
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../firebase-document.js';
+
+/**
+ * Changes the title locally while another client writes version 2 of the
+ * note, and resolves with the `write-failed` or `write-committed` detail.
+ */
+async function writeWithConflict(element, database) {
+  const settled = Promise.race([
+    nextEvent(element, 'write-failed'),
+    nextEvent(element, 'write-committed')
+  ]);
+
+  database.holdWrites = true;
+  element.set('data.title', 'Local');
+  await waitFor(() => database.heldWrites.length === 1);
+  database.setValue('/notes/1', {title: 'Remote', body: 'Remote', version: 2});
+  database.commitWrites();
+
+  return settled;
+}
+
+afterEach(removeElements);
+
+test('increments the version with every write', async () => {
+  const {element, database} = await createDocument(
+      {notes: {1: {title: 'A', version: 1}}}, {versionField: 'version'});
+
+  element.set('data.title', 'B');
+  await waitFor(() => database.getValue('/notes/1/version') === 2);
+
+  assert.deepEqual(database.getValue('/notes/1'), {title: 'B', version: 2});
+  assert.equal(database.writes[0].type, 'transaction');
+});
+
+test('keeps the remote value by default', async () => {
+  const {element, database} = await createDocument(
+      {notes: {1: {title: 'A', body: 'Text', version: 1}}},
+      {versionField: 'version'});
+  const conflict = nextEvent(element, 'conflict');
+
+  const detail = await writeWithConflict(element, database);
+
+  assert.equal(detail.error.code, 'version-conflict');
+  assert.deepEqual(await conflict, {
+    path: '/notes/1',
+    local: {title: 'Local', body: 'Text', version: 1},
+    base: {title: 'A', body: 'Text', version: 1},
+    remote: {title: 'Remote', body: 'Remote', version: 2}
+  });
+  assert.deepEqual(database.getValue('/notes/1'),
+      {title: 'Remote', body: 'Remote', version: 2});
+  await waitFor(() => element.data.title === 'Remote');
+});
+
+test('writes the local value over the remote one with keep-local', async () => {
+  const {element, database} = await createDocument(
+      {notes: {1: {title: 'A', body: 'Text', version: 1}}},
+      {versionField: 'version', conflictResolution: 'keep-local'});
+
+  const detail = await writeWithConflict(element, database);
+
+  assert.equal(detail.error, undefined);
+  await settle();
+  assert.deepEqual(database.getValue('/notes/1'),
+      {title: 'Local', body: 'Text', version: 3});
+});
+
+test('writes the value returned by conflictResolver', async () => {
+  const {element, database} = await createDocument(
+      {notes: {1: {title: 'A', body: 'Text', version: 1}}}, {
+        versionField: 'version',
+        conflictResolver: (local, base, remote) => {
+          return Object.assign({}, remote, {title: local.title});
+        }
+      });
+
+  await writeWithConflict(element, database);
+  await settle();
+
+  assert.deepEqual(database.getValue('/notes/1'),
+      {title: 'Local', body: 'Remote', version: 3});
+});
+
+test('validates versioned writes against the schema', async () => {
+  const {element, database} = await createDocument(
+      {notes: {1: {title: 'A', version: 1}}}, {
+        versionField: 'version',
+        schema: {type: 'object', properties: {title: {type: 'string', minLength: 1}}}
+      });
+  const invalid = nextEvent(element, 'validation-error');
+
+  element.set('data.title', '');
+
+  assert.deepEqual((await invalid).errors.map((error) => error.path),
+      ['/notes/1/title']);
+  await assert.rejects(element.saveValue('/notes', '2'), {code: 'invalid-value'});
+  await settle();
+  assert.deepEqual(database.writes, []);
+  assert.equal(element.path, '/notes/1');
+});
@@ -0,0 +1,108 @@
+import { settle, nextEvent, waitFor } from './helpers/setup.js';
+import { createDocument, dropApp, removeElements } from './helpers/elements.js';
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../firebase-document.js';
+
+afterEach(removeElements);
+
+test('writes the changes of the same fields once', async () => {
+  const {element, database} = await createDocument(
+      {notes: {1: {title: 'A', body: 'Text'}}},
+      {writeDelay: 30});
+
+  element.set('data.title', 'AB');
+  element.set('data.title', 'ABC');
+  element.set('data.body', 'More text');
+  await settle();
+
+  assert.equal(element.dirty, true);
+  assert.deepEqual(database.writes, []);
+
+  await waitFor(() => database.writes.length > 0);
+  await settle();
+
+  assert.equal(element.dirty, false);
+  assert.deepEqual(database.writes, [{
+    type: 'update',
+    path: '/',
+    value: {'/notes/1/title': 'ABC', '/notes/1/body': 'More text'}
+  }]);
+});
+
+test('flush() writes the buffered changes right away', async () => {
+  const {element, database} = await createDocument(
+      {notes: {1: {title: 'A'}}},
+      {writeDelay: 10000});
+
+  element.set('data.title', 'B');
+  await settle();
+  assert.equal(element.dirty, true);
+
+  await element.flush();
+
+  assert.equal(element.dirty, false);
+  assert.equal(database.getValue('/notes/1/title'), 'B');
+});
+
+test('keeps buffered changes when a server value arrives', async () => {
+  const {element, database} = await createDocument(
+      {notes: {1: {title: 'A', body: 'Text'}}},
+      {writeDelay: 10000});
+
+  element.set('data.title', 'Local');
+  await settle();
+  database.setValue('/notes/1/body', 'Remote');
+  await waitFor(() => element.data.body === 'Remote');
+
+  assert.equal(element.data.title, 'Local');
+  assert.equal(element.dirty, true);
+
+  await element.flush();
+
+  assert.deepEqual(database.getValue('/notes/1'),
+      {title: 'Local', body: 'Remote'});
+});
+
+test('writes the buffered changes when the element detaches', async () => {
+  const {element, database} = await createDocument(
+      {notes: {1: {title: 'A'}}},
+      {writeDelay: 10000});
+
+  element.set('data.title', 'B');
+  await settle();
+  element.remove();
+  await waitFor(() => database.writes.length > 0);
+  await settle();
+
+  assert.equal(database.getValue('/notes/1/title'), 'B');
+});
+
+test('a new value of data replaces the buffered changes', async () => {
+  const {element, database} = await createDocument(
+      {notes: {1: {title: 'A', body: 'Text'}}},
+      {writeDelay: 20});
+
+  element.set('data.title', 'Typed');
+  element.data = {title: 'A', body: 'Other'};
+  await waitFor(() => database.writes.length > 0);
+  await settle(30);
+
+  assert.deepEqual(database.writes.map((write) => write.value),
+      [{'/notes/1/body': 'Other'}]);
+  assert.deepEqual(element.data, {title: 'A', body: 'Other'});
+});
+
+test('flush() fails when the app is gone', async () => {
+  const {element, database, app} = await createDocument(
+      {notes: {1: {title: 'A'}}}, {writeDelay: 10000});
+  const failed = nextEvent(element, 'error');
+
+  element.set('data.title', 'B');
+  await settle();
+  dropApp(app);
+
+  await assert.rejects(element.flush(), {code: 'no-app'});
+  assert.equal((await failed).code, 'no-app');
+  assert.deepEqual(database.writes, []);
+});
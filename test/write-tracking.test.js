@@ -0,0 +1,49 @@
+import { settle, nextEvent, waitFor } from './helpers/setup.js';
+import { createDocument, removeElements } from './helpers/elements.js';
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../firebase-document.js';
+
+afterEach(removeElements);
+
+test('counts writes until the server confirms them', async () => {
+  const {element, database} = await createDocument(
+      {notes: {1: {title: 'Draft'}}});
+
+  database.holdWrites = true;
+  element.set('data.title', 'Final');
+  await waitFor(() => database.heldWrites.length === 1);
+
+  assert.equal(element.pendingWrites, 1);
+  assert.equal(element.hasPendingWrites, true);
+
+  const committed = nextEvent(element, 'write-committed');
+  const syncedBefore = element.lastSyncedAt;
+
+  database.commitWrites();
+  assert.deepEqual(await committed, {path: '/notes/1/title'});
+  assert.equal(element.pendingWrites, 0);
+  assert.equal(element.hasPendingWrites, false);
+  assert.ok(element.lastSyncedAt >= syncedBefore);
+  assert.equal(database.getValue('/notes/1/title'), 'Final');
+});
+
+test('rolls back a write rejected by the security rules', async () => {
+  const {element, database} = await createDocument(
+      {notes: {1: {title: 'Draft'}}});
+  const failed = nextEvent(element, 'write-failed');
+
+  database.failWith = 'PERMISSION_DENIED';
+  element.set('data.title', 'Forbidden');
+
+  const detail = await failed;
+
+  assert.equal(detail.path, '/notes/1/title');
+  assert.equal(detail.error.code, 'permission-denied');
+  assert.equal(element.lastError, detail.error);
+  assert.equal(element.pendingWrites, 0);
+
+  await waitFor(() => element.data.title === 'Draft');
+  await settle();
+  assert.equal(database.getValue('/notes/1/title'), 'Draft');
+});